@@ -0,0 +1,138 @@
+/**
+ * Reminder notifications for 体重ログ (loaded into the generated service worker
+ * via workbox importScripts, see vite.config.js).
+ * - periodicsync: アプリを閉じている間に、設定時刻を過ぎていて未記録なら通知する
+ * - notificationclick: 通知・アクションから朝/夜のモードでアプリを開く
+ * 判定と settings のキー名は src/reminders.js と同じにしておくこと。
+ * 記録済みかを見る日付は src/automode.js の logDateFor と同じ規則（深夜の夜モードは前日）。
+ * 通知の対象は使用中のプロフィール (settings 'activeProfile', src/profiles.js) の記録。
+ */
+const REMINDER_DB_NAME = 'WeightCalorieDB';
+const REMINDER_SYNC_TAG = 'weight-log-reminder';
+const REMINDER_WINDOW_MINUTES = 180;
+const DEFAULT_PROFILE_ID = 1;
+const DEFAULT_MORNING_START_HOUR = 4;
+
+const REMINDER_KINDS = [
+  { key: 'morning', field: 'weight', title: '体重を記録しましょう', action: '体重を記録' },
+  { key: 'night', field: 'total_calorie', title: '今日のカロリーを記録しましょう', action: 'カロリーを記録' },
+];
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// アプリが一度も DB を作っていなければ何もしない（ここでスキーマは作らない）
+function openReminderDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(REMINDER_DB_NAME);
+    request.onupgradeneeded = () => request.transaction.abort();
+    request.onsuccess = () => {
+      const db = request.result;
+      // 開いたままだとアプリ側の DB アップグレードを止めてしまうので、求められたら閉じる
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    request.onerror = () => resolve(null);
+    request.onblocked = () => reject(new Error('blocked'));
+  });
+}
+
+function localISODate(d) {
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${y}-${m}-${day}`;
+}
+
+// src/automode.js logDateFor と同じ
+function logDateFor(mode, now, config) {
+  const enabled = Boolean(config?.enabled);
+  const morningStartHour = config?.morningStartHour ?? DEFAULT_MORNING_START_HOUR;
+  const day = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  if (enabled && mode === 'night' && now.getHours() < morningStartHour) day.setDate(day.getDate() - 1);
+  return localISODate(day);
+}
+
+function minutesOf(hhmm) {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + m;
+}
+
+async function checkReminders() {
+  const db = await openReminderDb();
+  if (!db) return;
+  try {
+    if (!db.objectStoreNames.contains('settings')) return;
+
+    const now = new Date();
+    const today = localISODate(now);
+    const read = db.transaction(['settings', 'records'], 'readonly');
+    const records = read.objectStore('records');
+    const [reminders, lastShownRow, activeProfileRow, autoModeRow] = await Promise.all([
+      requestResult(read.objectStore('settings').get('reminders')),
+      requestResult(read.objectStore('settings').get('reminderLastShown')),
+      requestResult(read.objectStore('settings').get('activeProfile')),
+      requestResult(read.objectStore('settings').get('autoMode')),
+    ]);
+    // プロフィール導入前 (DB v7 以前) の records は日付だけがキー
+    const profileId = activeProfileRow?.value ?? DEFAULT_PROFILE_ID;
+    const recordFor = (date) => requestResult(records.get(Array.isArray(records.keyPath) ? [profileId, date] : date));
+    const kindRecords = await Promise.all(REMINDER_KINDS.map(kind => recordFor(logDateFor(kind.key, now, autoModeRow?.value))));
+    const lastShown = { ...(lastShownRow?.value || {}) };
+    let shown = false;
+
+    for (const [i, kind] of REMINDER_KINDS.entries()) {
+      const reminder = reminders?.value?.[kind.key];
+      if (!reminder?.enabled || !reminder.time || lastShown[kind.key] === today) continue;
+      const v = kindRecords[i]?.[kind.field];
+      if (v !== null && v !== undefined) continue;
+      const elapsed = now.getHours() * 60 + now.getMinutes() - minutesOf(reminder.time);
+      if (elapsed < 0 || elapsed >= REMINDER_WINDOW_MINUTES) continue;
+
+      await self.registration.showNotification(kind.title, {
+        body: '体重ログを開いて記録してください',
+        tag: `reminder-${kind.key}`,
+        icon: '/pwa-192x192.png',
+        data: { mode: kind.key },
+        actions: [{ action: kind.key, title: kind.action }],
+      });
+      lastShown[kind.key] = today;
+      shown = true;
+    }
+
+    if (shown) {
+      const write = db.transaction(['settings'], 'readwrite');
+      write.objectStore('settings').put({ key: 'reminderLastShown', value: lastShown });
+      await new Promise((resolve) => {
+        write.oncomplete = resolve;
+        write.onerror = resolve;
+      });
+    }
+  } finally {
+    db.close();
+  }
+}
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === REMINDER_SYNC_TAG) event.waitUntil(checkReminders());
+});
+
+self.addEventListener('notificationclick', (event) => {
+  const mode = event.action || event.notification.data?.mode || 'morning';
+  event.notification.close();
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length > 0) {
+      const client = windows[0];
+      await client.focus();
+      client.postMessage({ type: 'open-mode', mode });
+      return;
+    }
+    await self.clients.openWindow(new URL(`./?mode=${mode}`, self.registration.scope).href);
+  })());
+});
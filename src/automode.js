@@ -0,0 +1,69 @@
+/**
+ * Automatic morning / night mode for 体重ログ
+ * - settings 'autoMode' = { enabled, morningStartHour, nightStartHour }
+ * - morningStartHour <= 時 < nightStartHour なら朝、それ以外は夜
+ * - 日付が変わってから朝モード開始までの夜モードは「前日」のカロリーを記録する (logDateFor)。
+ *   夜の通知 (public/reminder-sw.js) も同じ日付で記録済みかを見るので、変えたらそちらも合わせること
+ * - 既定ではオフ（設定画面でオンにした人だけ自動で選ぶ）
+ * - 朝/夜ボタンで選んだモードはそのタブを閉じるまで優先する (sessionStorage)
+ */
+
+export const AUTO_MODE_SETTING_KEY = 'autoMode';
+
+export const DEFAULT_AUTO_MODE = {
+  enabled: false,
+  morningStartHour: 4,
+  nightStartHour: 17,
+};
+
+const MODE_OVERRIDE_KEY = 'weight-log:mode-override';
+
+export function normalizeAutoMode(value) {
+  return { ...DEFAULT_AUTO_MODE, ...(value || {}) };
+}
+
+/**
+ * now の時刻からモードを決める。戻り値 { mode, previousDay }
+ * previousDay: 深夜 (0 時〜朝モード開始) の夜モードなら true
+ */
+export function autoModeFor(now, config) {
+  const { morningStartHour, nightStartHour } = normalizeAutoMode(config);
+  const hour = now.getHours();
+  if (hour >= morningStartHour && hour < nightStartHour) return { mode: 'morning', previousDay: false };
+  return { mode: 'night', previousDay: hour < morningStartHour };
+}
+
+function localISODate(d) {
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${y}-${m}-${day}`;
+}
+
+/**
+ * mode の記録を付ける日付 (YYYY-MM-DD)。
+ * 自動モードが有効で、深夜 (0 時〜朝モード開始) の夜モードなら前日、それ以外は now の日付
+ */
+export function logDateFor(mode, now, config) {
+  const { enabled, morningStartHour } = normalizeAutoMode(config);
+  const day = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  if (enabled && mode === 'night' && now.getHours() < morningStartHour) day.setDate(day.getDate() - 1);
+  return localISODate(day);
+}
+
+export function getModeOverride() {
+  try {
+    const mode = sessionStorage.getItem(MODE_OVERRIDE_KEY);
+    return mode === 'morning' || mode === 'night' ? mode : null;
+  } catch {
+    return null;
+  }
+}
+
+export function setModeOverride(mode) {
+  try {
+    sessionStorage.setItem(MODE_OVERRIDE_KEY, mode);
+  } catch {
+    // private mode 等で使えなければ上書きは覚えない
+  }
+}
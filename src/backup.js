@@ -0,0 +1,135 @@
+/**
+ * JSON backup / restore for 体重ログ
+ * - IndexedDB の全ストア・全フィールドをそのまま 1 ファイルに書き出す
+ * - data 部分のチェックサム (SHA-256) で破損・手編集を検出する
+ * - 古い形式のバックアップは BACKUP_MIGRATIONS で現行形式に変換してから復元する
+ */
+import { exportAllStores, importStores } from './db.js';
+
+export const BACKUP_FORMAT = 'weight-log-backup';
+export const BACKUP_VERSION = 1;
+
+// version N のバックアップを N+1 に変換する関数。形式を変えたら BACKUP_VERSION を上げてここに追加する
+const BACKUP_MIGRATIONS = {};
+
+export class BackupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BackupError';
+  }
+}
+
+// -----------------------------
+// Checksum
+// -----------------------------
+
+// キー順に依存しない JSON (チェックサム計算用)
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+async function computeChecksum(data) {
+  const bytes = new TextEncoder().encode(canonicalJSON(data));
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  const hex = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  return { algorithm: 'SHA-256', value: hex };
+}
+
+// -----------------------------
+// Create
+// -----------------------------
+export async function createBackup() {
+  const { dbName, dbVersion, stores } = await exportAllStores();
+  const data = { stores };
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    created_at: new Date().toISOString(),
+    db: { name: dbName, version: dbVersion },
+    data,
+    checksum: await computeChecksum(data),
+  };
+}
+
+export function backupToBlob(backup) {
+  return new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+}
+
+// -----------------------------
+// Validate / migrate
+// -----------------------------
+
+/**
+ * バックアップファイルの中身を検証し、現行形式に変換して返す。
+ * 不正なファイルは BackupError を投げる。
+ */
+export async function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(String(text ?? '').replace(/^\uFEFF/, ''));
+  } catch {
+    throw new BackupError('JSON として読み込めません');
+  }
+
+  if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+    throw new BackupError('体重ログのバックアップファイルではありません');
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    throw new BackupError('バックアップのバージョンが不正です');
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new BackupError('新しいバージョンのアプリで作成されたバックアップです。アプリを更新してください');
+  }
+  if (!backup.data || typeof backup.data.stores !== 'object' || backup.data.stores === null) {
+    throw new BackupError('バックアップにデータが含まれていません');
+  }
+
+  // チェックサムは作成時の形式に対して計算されているので、変換前に検証する
+  if (!backup.checksum || backup.checksum.algorithm !== 'SHA-256') {
+    throw new BackupError('チェックサムがありません');
+  }
+  const actual = await computeChecksum(backup.data);
+  if (actual.value !== backup.checksum.value) {
+    throw new BackupError('チェックサムが一致しません（ファイルが破損しているか編集されています）');
+  }
+
+  for (const [name, rows] of Object.entries(backup.data.stores)) {
+    if (!Array.isArray(rows)) throw new BackupError(`ストア ${name} の形式が不正です`);
+  }
+
+  return migrateBackup(backup);
+}
+
+function migrateBackup(backup) {
+  let current = backup;
+  while (current.version < BACKUP_VERSION) {
+    const step = BACKUP_MIGRATIONS[current.version];
+    if (!step) throw new BackupError(`バージョン ${current.version} のバックアップは変換できません`);
+    current = { ...step(current), version: current.version + 1 };
+  }
+  return current;
+}
+
+export function summarizeBackup(backup) {
+  return Object.entries(backup.data.stores).map(([name, rows]) => ({ name, count: rows.length }));
+}
+
+// -----------------------------
+// Restore
+// -----------------------------
+
+/**
+ * mode: 'replace' = 既存データを消してから復元 / 'merge' = 既存データに上書き合成
+ *   (merge では食事・計量・食品・変更履歴は id を振り直して追加する。詳細は db.importStores)
+ * 戻り値は db.importStores() の結果 ({ written, skippedStores })
+ */
+export async function restoreBackup(backup, mode) {
+  if (mode !== 'replace' && mode !== 'merge') throw new BackupError(`不明な復元モード: ${mode}`);
+  // db.version 以前の行は db.js のマイグレーションで現行スキーマに変換される
+  return importStores(backup.data.stores, mode, Number(backup.db?.version) || 1);
+}
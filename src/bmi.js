@@ -0,0 +1,60 @@
+/**
+ * BMI for 体重ログ
+ * - BMI = 体重(kg) / 身長(m)^2。身長はプロフィールの height_cm を使い、記録には保存しない
+ * - 判定基準は日本肥満学会 (JASSO) と WHO から選ぶ (settings 'preferences' の bmiStandard)
+ * - 区分は [min, max) の範囲。min / max が null の区分は下限 / 上限なし
+ */
+
+export const BMI_STANDARDS = [
+  {
+    key: 'jasso',
+    label: '日本肥満学会',
+    categories: [
+      { label: '低体重', min: null, max: 18.5, color: 'rgba(33, 150, 243, 0.10)' },
+      { label: '普通体重', min: 18.5, max: 25, color: 'rgba(76, 175, 80, 0.12)' },
+      { label: '肥満(1度)', min: 25, max: 30, color: 'rgba(255, 193, 7, 0.12)' },
+      { label: '肥満(2度)', min: 30, max: 35, color: 'rgba(255, 152, 0, 0.12)' },
+      { label: '肥満(3度)', min: 35, max: 40, color: 'rgba(244, 67, 54, 0.12)' },
+      { label: '肥満(4度)', min: 40, max: null, color: 'rgba(183, 28, 28, 0.12)' },
+    ],
+  },
+  {
+    key: 'who',
+    label: 'WHO',
+    categories: [
+      { label: '重度のやせ', min: null, max: 16, color: 'rgba(13, 71, 161, 0.12)' },
+      { label: '中等度のやせ', min: 16, max: 17, color: 'rgba(25, 118, 210, 0.10)' },
+      { label: '軽度のやせ', min: 17, max: 18.5, color: 'rgba(33, 150, 243, 0.10)' },
+      { label: '普通', min: 18.5, max: 25, color: 'rgba(76, 175, 80, 0.12)' },
+      { label: '前肥満', min: 25, max: 30, color: 'rgba(255, 193, 7, 0.12)' },
+      { label: '肥満I度', min: 30, max: 35, color: 'rgba(255, 152, 0, 0.12)' },
+      { label: '肥満II度', min: 35, max: 40, color: 'rgba(244, 67, 54, 0.12)' },
+      { label: '肥満III度', min: 40, max: null, color: 'rgba(183, 28, 28, 0.12)' },
+    ],
+  },
+];
+
+export const DEFAULT_BMI_STANDARD = 'jasso';
+
+export function bmiStandard(key) {
+  return BMI_STANDARDS.find(s => s.key === key) || BMI_STANDARDS[0];
+}
+
+// 体重か身長がなければ null
+export function computeBmi(weightKg, heightCm) {
+  if (weightKg === null || weightKg === undefined || !heightCm) return null;
+  const m = heightCm / 100;
+  return weightKg / (m * m);
+}
+
+export function bmiCategory(bmi, standardKey) {
+  if (bmi === null) return null;
+  return bmiStandard(standardKey).categories
+    .find(c => (c.min === null || bmi >= c.min) && (c.max === null || bmi < c.max)) || null;
+}
+
+// BMI の値に相当する体重 (kg)。グラフの帯を体重の軸に描くときに使う
+export function weightForBmi(bmi, heightCm) {
+  const m = heightCm / 100;
+  return bmi * m * m;
+}
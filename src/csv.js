@@ -0,0 +1,347 @@
+/**
+ * CSV helpers for 体重ログ
+ * - exportCSV() の形式 (date,weight,total_calorie,protein,fat,carbs,<測定値の key>...) を読み書きする
+ * - 読み込みは BOM / CRLF / クォート / 旧ヘッダー (Date,Weight,TotalCalorie) を許容
+ * - 測定値の列は metrics.js の定義 (metricDefs) を渡したときだけ扱う
+ * - kg / kcal 以外の単位で書き出すときはヘッダーに単位を付ける (weight_lb, total_calorie_kj)。
+ *   読み込みはヘッダーの単位から kg / kcal に換算する（単位なしは kg / kcal）
+ */
+import { validateMetricValue } from './metrics.js';
+import { MACROS } from './macros.js';
+import {
+  WEIGHT_UNITS, ENERGY_UNITS, CANONICAL_WEIGHT_UNIT, CANONICAL_ENERGY_UNIT,
+  toDisplayWeight, fromDisplayWeight, toDisplayEnergy, fromDisplayEnergy, weightDigits,
+  roundCanonicalWeight, roundCanonicalEnergy,
+} from './units.js';
+
+// key: レコードのフィールド名 / aliases: 旧バージョンや手編集のヘッダー名
+// dimension: 単位換算の対象 ('weight' | 'energy')
+const BASE_FIELDS = [
+  {
+    key: 'weight',
+    label: '体重',
+    dimension: 'weight',
+    aliases: ['weight', '体重'],
+    validate: v => (v <= 0 || v >= 1000 ? `体重が範囲外です: ${v}` : null),
+  },
+  {
+    key: 'total_calorie',
+    label: 'カロリー',
+    dimension: 'energy',
+    aliases: ['total_calorie', 'totalcalorie', 'calorie', 'calories', 'カロリー', '総カロリー'],
+    validate: v => (v < 0 || v >= 100000 ? `カロリーが範囲外です: ${v}` : null),
+  },
+  ...MACROS.map(m => ({
+    key: m.key,
+    label: m.label,
+    aliases: [m.key, m.label, `${m.key}_g`],
+    validate: v => (v < 0 || v >= 2000 ? `${m.label}が範囲外です: ${v}` : null),
+  })),
+];
+
+const DATE_ALIASES = ['date', '日付'];
+
+const DIMENSIONS = {
+  weight: {
+    units: WEIGHT_UNITS,
+    canonical: CANONICAL_WEIGHT_UNIT,
+    toUnit: toDisplayWeight,
+    fromUnit: (v, unit) => roundCanonicalWeight(fromDisplayWeight(v, unit)),
+    digits: unit => weightDigits(unit, 2),
+  },
+  energy: {
+    units: ENERGY_UNITS,
+    canonical: CANONICAL_ENERGY_UNIT,
+    toUnit: toDisplayEnergy,
+    fromUnit: (v, unit) => roundCanonicalEnergy(fromDisplayEnergy(v, unit)),
+    digits: () => 0,
+  },
+};
+
+// units: { weight: 'kg'|'lb'|'st', energy: 'kcal'|'kj' }（省略は kg / kcal）
+function unitFor(field, units) {
+  const dim = DIMENSIONS[field.dimension];
+  return dim ? (units?.[field.dimension] || dim.canonical) : null;
+}
+
+function headerFor(field, units) {
+  const unit = unitFor(field, units);
+  return unit && unit !== DIMENSIONS[field.dimension].canonical ? `${field.key}_${unit}` : field.key;
+}
+
+function metricField(def) {
+  return {
+    key: def.key,
+    label: def.label,
+    dimension: def.dimension,
+    aliases: [def.key, def.label],
+    validate: v => validateMetricValue(def, v),
+  };
+}
+
+function fieldsFor(metricDefs = []) {
+  return [...BASE_FIELDS, ...metricDefs.map(metricField)];
+}
+
+export function csvColumns(metricDefs = [], units = {}) {
+  return ['date', ...fieldsFor(metricDefs).map(f => headerFor(f, units))];
+}
+
+// -----------------------------
+// Low-level parse / format
+// -----------------------------
+
+/**
+ * RFC 4180 寄りのパーサー。行ごとのセル配列を返す（空行は除外）。
+ */
+export function parseCSV(text) {
+  const src = String(text ?? '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        cell += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\r' || ch === '\n') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+
+  // last line without trailing newline
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+function escapeCell(v) {
+  if (v === null || v === undefined) return '';
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function formatCSV(rows) {
+  return rows.map(r => r.map(escapeCell).join(',')).join('\n');
+}
+
+// -----------------------------
+// Records <-> CSV
+// -----------------------------
+
+function exportValue(field, value, units) {
+  const unit = unitFor(field, units);
+  const dim = DIMENSIONS[field.dimension];
+  if (value === null || value === undefined || !unit || unit === dim.canonical) return value ?? '';
+  const converted = dim.toUnit(value, unit);
+  return converted === null ? '' : Number(converted.toFixed(dim.digits(unit)));
+}
+
+export function recordsToCSV(records, metricDefs = [], units = {}) {
+  const fields = fieldsFor(metricDefs);
+  const lines = [csvColumns(metricDefs, units)];
+  records
+    .slice()
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+    .forEach(r => {
+      lines.push([r.date ?? '', ...fields.map(f => exportValue(f, r[f.key], units))]);
+    });
+  return formatCSV(lines);
+}
+
+/**
+ * 'YYYY-MM-DD' / 'YYYY/M/D' などを 'YYYY-MM-DD' に正規化。実在しない日付は null。
+ */
+export function normalizeDate(s) {
+  const m = String(s ?? '').trim().match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (!m) return null;
+  const y = Number(m[1]);
+  const mo = Number(m[2]);
+  const d = Number(m[3]);
+  const dt = new Date(y, mo - 1, d);
+  if (dt.getFullYear() !== y || dt.getMonth() !== mo - 1 || dt.getDate() !== d) return null;
+  return `${m[1]}-${String(mo).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+function parseNumberCell(s) {
+  const t = String(s ?? '').trim().replace(/,/g, '');
+  if (t === '') return { value: null, ok: true };
+  const n = Number(t);
+  return Number.isFinite(n) ? { value: n, ok: true } : { value: null, ok: false };
+}
+
+// ヘッダー → { key, unit }。unit は換算元の単位（換算しない列は null）
+function resolveColumns(headerRow, fields) {
+  const aliases = new Map(DATE_ALIASES.map(a => [a, { key: 'date', unit: null }]));
+  fields.forEach(f => {
+    const dim = DIMENSIONS[f.dimension];
+    f.aliases.forEach(a => aliases.set(String(a).toLowerCase(), { key: f.key, unit: dim ? dim.canonical : null }));
+    dim?.units.forEach(u => aliases.set(`${f.key}_${u.key}`, { key: f.key, unit: u.key }));
+  });
+  const cols = headerRow.map(h => aliases.get(String(h).trim().toLowerCase()) ?? null);
+  return cols.some(c => c?.key === 'date') ? cols : null;
+}
+
+/**
+ * CSV テキストを取り込み用の行に変換する。
+ * 各行: { line, date, values: { [key]: number|null }, errors: string[], warnings: string[], superseded }
+ * values には CSV に列があるフィールドだけが入る。
+ * errors がある行と、同じ日付が後ろに再登場する行 (superseded) は取り込み対象外。
+ */
+export function parseRecordsCSV(text, metricDefs = []) {
+  const table = parseCSV(text);
+  if (table.length === 0) return [];
+
+  const fields = fieldsFor(metricDefs);
+
+  // ヘッダーが無い場合は exportCSV() と同じ列順 (kg / kcal) とみなす
+  let columns = resolveColumns(table[0], fields);
+  let body = table.slice(1);
+  let firstLine = 2;
+  if (!columns) {
+    columns = resolveColumns(csvColumns(metricDefs), fields);
+    body = table;
+    firstLine = 1;
+  }
+  const present = fields.filter(f => columns.some(c => c?.key === f.key));
+  const sourceUnit = new Map();
+  columns.forEach(col => {
+    if (col && !sourceUnit.has(col.key)) sourceUnit.set(col.key, col.unit);
+  });
+
+  const seen = new Map();
+  const rows = body.map((cells, i) => {
+    const raw = {};
+    columns.forEach((col, idx) => {
+      if (col && raw[col.key] === undefined) raw[col.key] = cells[idx] ?? '';
+    });
+
+    const row = {
+      line: firstLine + i,
+      date: normalizeDate(raw.date),
+      values: {},
+      errors: [],
+      warnings: [],
+      superseded: false,
+    };
+
+    if (!row.date) row.errors.push(`日付が不正です: ${String(raw.date ?? '').trim() || '(空)'}`);
+
+    present.forEach(f => {
+      const cell = parseNumberCell(raw[f.key]);
+      const unit = sourceUnit.get(f.key);
+      const dim = DIMENSIONS[f.dimension];
+      if (cell.value !== null && dim && unit !== dim.canonical) cell.value = dim.fromUnit(cell.value, unit);
+      const error = !cell.ok
+        ? `${f.label}が数値ではありません: ${raw[f.key]}`
+        : (cell.value === null ? null : f.validate(cell.value));
+      if (error) {
+        row.errors.push(error);
+        row.values[f.key] = null;
+      } else {
+        row.values[f.key] = cell.value;
+      }
+    });
+
+    if (row.errors.length === 0 && Object.values(row.values).every(v => v === null)) {
+      row.warnings.push('値がありません');
+    }
+
+    if (row.date) {
+      const prev = seen.get(row.date);
+      if (prev) {
+        prev.superseded = true;
+        prev.warnings.push(`${row.line}行目で上書きされます`);
+      }
+      seen.set(row.date, row);
+    }
+
+    return row;
+  });
+
+  return rows;
+}
+
+// -----------------------------
+// Merge strategies
+// -----------------------------
+export const IMPORT_STRATEGIES = ['skip', 'overwrite', 'merge'];
+
+// 食事・計量のある日の records の値はそこから計算しているので、CSV では上書きしない
+// （上書きしても次に食事・計量を編集したときに計算し直される）
+export const DERIVED_CSV_FIELDS = {
+  meals: ['total_calorie', ...MACROS.map(m => m.key)],
+  weighins: ['weight'],
+};
+
+/**
+ * derived: { meals, weighins }（その日に食事・計量の記録があるか）
+ * 上書きしない列を values から除いた行と、除いた列のうち値のあった key を返す。
+ */
+export function withoutDerivedValues(row, derived) {
+  const keys = [
+    ...(derived.meals ? DERIVED_CSV_FIELDS.meals : []),
+    ...(derived.weighins ? DERIVED_CSV_FIELDS.weighins : []),
+  ];
+  const values = { ...row.values };
+  const dropped = keys.filter(k => values[k] !== null && values[k] !== undefined);
+  keys.forEach(k => delete values[k]);
+  return { row: { ...row, values }, dropped };
+}
+
+/**
+ * 既存レコードと取り込み行から書き込むレコードを決める。書き込み不要なら null。
+ * - skip: 既存があれば何もしない
+ * - overwrite: CSV にある列の値で置き換える（空欄は null になる）
+ * - merge: CSV の空でない値だけ反映する
+ */
+export function mergeImportedRecord(existing, row, strategy) {
+  const incoming = row.values;
+
+  if (!existing) {
+    if (Object.values(incoming).every(v => v === null)) return null;
+    return { date: row.date, weight: null, total_calorie: null, ...incoming };
+  }
+
+  if (strategy === 'skip') return null;
+
+  const next = { ...existing, date: row.date };
+  if (strategy === 'overwrite') {
+    Object.assign(next, incoming);
+  } else {
+    Object.entries(incoming).forEach(([k, v]) => {
+      if (v !== null) next[k] = v;
+    });
+  }
+
+  const changed = Object.keys(incoming).some(k => (existing[k] ?? null) !== (next[k] ?? null));
+  return changed ? next : null;
+}
@@ -1,19 +1,217 @@
+import { dailyWeight, DEFAULT_WEIGH_IN_RULE, WEIGH_IN_RULE_SETTING_KEY } from './weighins.js';
+import { ACTIVE_PROFILE_SETTING_KEY, DEFAULT_PROFILE_ID, defaultProfile, normalizeProfile } from './profiles.js';
+import { GOAL_SETTING_KEY } from './goal.js';
+import { PREFERENCES_SETTING_KEY } from './preferences.js';
+
 const DB_NAME = 'WeightCalorieDB';
-const DB_VERSION = 1;
 const STORE_NAME = 'records';
+const SETTINGS_STORE = 'settings';
+const MEALS_STORE = 'meals';
+const FOODS_STORE = 'foods';
+const WEIGHINS_STORE = 'weighins';
+const REVISIONS_STORE = 'revisions';
+const PROFILES_STORE = 'profiles';
+
+function toNumberOrNull(v) {
+    if (v === null || v === undefined || v === '') return null;
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+}
+
+function withDefaultProfile(row) {
+    return { ...row, profile_id: row.profile_id ?? DEFAULT_PROFILE_ID };
+}
+
+/**
+ * Ordered schema migrations. When the database is opened at an older version,
+ * every step with oldVersion < version <= DB_VERSION runs in order inside the
+ * versionchange transaction:
+ * - upgrade(db, transaction): create/alter stores and indexes. May return a
+ *   promise (of requests on `transaction`); the next step waits for it.
+ * - transform: { storeName: row => row } rewrites existing rows of that store.
+ *   The same transforms are applied to rows restored from a backup taken at an
+ *   older DB version (see importStores).
+ * Never edit a step that has shipped; append a new one instead.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        upgrade(db) {
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                db.createObjectStore(STORE_NAME, { keyPath: 'date' });
+            }
+        },
+    },
+    {
+        // date index for range queries (kept independent of the primary key),
+        // and numeric fields that older builds may have stored as strings
+        version: 2,
+        upgrade(db, transaction) {
+            const store = transaction.objectStore(STORE_NAME);
+            if (!store.indexNames.contains('date')) {
+                store.createIndex('date', 'date', { unique: false });
+            }
+        },
+        transform: {
+            [STORE_NAME]: (row) => ({
+                ...row,
+                weight: toNumberOrNull(row.weight),
+                total_calorie: toNumberOrNull(row.total_calorie),
+            }),
+        },
+    },
+    {
+        // key-value app settings ({ key, value }), e.g. 'goal'
+        version: 3,
+        upgrade(db) {
+            if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
+                db.createObjectStore(SETTINGS_STORE, { keyPath: 'key' });
+            }
+        },
+    },
+    {
+        // per-meal calorie items; the day's records.total_calorie is their sum
+        version: 4,
+        upgrade(db) {
+            if (!db.objectStoreNames.contains(MEALS_STORE)) {
+                const store = db.createObjectStore(MEALS_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('date', 'date', { unique: false });
+            }
+        },
+    },
+    {
+        // reusable food catalogue for quick meal entry
+        version: 5,
+        upgrade(db) {
+            if (!db.objectStoreNames.contains(FOODS_STORE)) {
+                db.createObjectStore(FOODS_STORE, { keyPath: 'id', autoIncrement: true });
+            }
+        },
+    },
+    {
+        // timestamped weigh-ins; the day's records.weight is derived from them
+        // by the 'weighInRule' setting. Older days keep their single weight
+        // until a second weigh-in is added (see saveWeighIn).
+        version: 6,
+        upgrade(db) {
+            if (!db.objectStoreNames.contains(WEIGHINS_STORE)) {
+                const store = db.createObjectStore(WEIGHINS_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('date', 'date', { unique: false });
+            }
+        },
+    },
+    {
+        // per-field change log of the records store (see logRevisions)
+        version: 7,
+        upgrade(db) {
+            if (!db.objectStoreNames.contains(REVISIONS_STORE)) {
+                const store = db.createObjectStore(REVISIONS_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('date', 'date', { unique: false });
+            }
+        },
+    },
+    {
+        // profiles: records are keyed by [profile_id, date]; meals, weigh-ins
+        // and revisions get a [profile_id, date] index. Existing rows belong to
+        // the default profile, which is created on first use (ensureProfiles).
+        version: 8,
+        async upgrade(db, transaction) {
+            if (!db.objectStoreNames.contains(PROFILES_STORE)) {
+                db.createObjectStore(PROFILES_STORE, { keyPath: 'id', autoIncrement: true });
+            }
+            [MEALS_STORE, WEIGHINS_STORE, REVISIONS_STORE].forEach(name => {
+                const store = transaction.objectStore(name);
+                if (!store.indexNames.contains('profile_date')) {
+                    store.createIndex('profile_date', ['profile_id', 'date'], { unique: false });
+                }
+            });
+
+            // a key path can't be changed in place: copy the rows into a new store
+            const rows = await requestToPromise(transaction.objectStore(STORE_NAME).getAll());
+            db.deleteObjectStore(STORE_NAME);
+            const store = db.createObjectStore(STORE_NAME, { keyPath: ['profile_id', 'date'] });
+            store.createIndex('profile_date', ['profile_id', 'date'], { unique: true });
+            rows.forEach(row => store.put(withDefaultProfile(row)));
+        },
+        transform: {
+            [STORE_NAME]: withDefaultProfile,
+            [MEALS_STORE]: withDefaultProfile,
+            [WEIGHINS_STORE]: withDefaultProfile,
+            [REVISIONS_STORE]: withDefaultProfile,
+        },
+    },
+];
+
+const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Connection lifecycle events for the UI:
+ * - 'blocked': an upgrade is waiting for other tabs to close their connection
+ * - 'versionchange': another tab is upgrading; this connection has been closed
+ */
+export const dbEvents = new EventTarget();
+
+function transformStoreRows(store, transform) {
+    return new Promise((resolve, reject) => {
+        const request = store.openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve();
+                return;
+            }
+            cursor.update(transform(cursor.value));
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Steps run one after another: a step may read rows an earlier transform wrote.
+async function runMigrations(db, transaction, oldVersion, newVersion) {
+    const steps = MIGRATIONS.filter(m => m.version > oldVersion && m.version <= newVersion);
+    for (const m of steps) {
+        await m.upgrade?.(db, transaction);
+        // rows only exist when upgrading an existing database
+        if (oldVersion > 0 && m.transform) {
+            for (const [name, fn] of Object.entries(m.transform)) {
+                if (db.objectStoreNames.contains(name)) {
+                    await transformStoreRows(transaction.objectStore(name), fn);
+                }
+            }
+        }
+    }
+}
+
+function migrateRows(storeName, rows, fromVersion) {
+    const steps = MIGRATIONS.filter(m => m.version > fromVersion && m.transform?.[storeName]);
+    if (steps.length === 0) return rows;
+    return rows.map(row => steps.reduce((r, m) => m.transform[storeName](r), row));
+}
 
 export const dbPromise = new Promise((resolve, reject) => {
     const request = indexedDB.open(DB_NAME, DB_VERSION);
 
     request.onupgradeneeded = (event) => {
         const db = event.target.result;
-        if (!db.objectStoreNames.contains(STORE_NAME)) {
-            db.createObjectStore(STORE_NAME, { keyPath: 'date' });
-        }
+        const transaction = event.target.transaction;
+        runMigrations(db, transaction, event.oldVersion, event.newVersion).catch((err) => {
+            console.error('DB migration failed:', err);
+            transaction.abort();
+        });
+    };
+
+    request.onblocked = () => {
+        dbEvents.dispatchEvent(new Event('blocked'));
     };
 
     request.onsuccess = (event) => {
-        resolve(event.target.result);
+        const db = event.target.result;
+        db.onversionchange = () => {
+            db.close();
+            dbEvents.dispatchEvent(new Event('versionchange'));
+        };
+        resolve(db);
     };
 
     request.onerror = (event) => {
@@ -21,12 +219,32 @@ export const dbPromise = new Promise((resolve, reject) => {
     };
 });
 
+// -----------------------------
+// Active profile
+// -----------------------------
+
+// Every record / meal / weigh-in / revision read or written below belongs to
+// this profile (see getActiveProfile / setActiveProfile).
+let activeProfileId = DEFAULT_PROFILE_ID;
+
+function dayKey(date, profileId = activeProfileId) {
+    return [profileId, date];
+}
+
+// [profile_id, date] keys of one profile, start <= date <= end
+function profileRange(profileId, start = '', end = '\uffff') {
+    return IDBKeyRange.bound([profileId, start], [profileId, end]);
+}
+
+// -----------------------------
+// Records
+// -----------------------------
 export async function getRecord(date) {
     const db = await dbPromise;
     return new Promise((resolve, reject) => {
         const transaction = db.transaction([STORE_NAME], 'readonly');
         const store = transaction.objectStore(STORE_NAME);
-        const request = store.get(date);
+        const request = store.get(dayKey(date));
 
         request.onsuccess = () => {
             resolve(request.result || null);
@@ -38,12 +256,27 @@ export async function getRecord(date) {
     });
 }
 
-export async function upsertRecord(record) {
+/**
+ * source: where the change came from ('manual' | 'import' | 'sync'), kept in
+ * the revision log with the previous and new value of every changed field.
+ */
+export async function upsertRecord(record, source = 'manual') {
+    const db = await dbPromise;
+    const transaction = db.transaction([STORE_NAME, REVISIONS_STORE], 'readwrite');
+    const done = transactionDone(transaction);
+
+    const key = await writeRecord(transaction, dayKey(record.date), record, source);
+    await done;
+    return key;
+}
+
+// All records of the active profile, in date order.
+export async function getAllRecords() {
     const db = await dbPromise;
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction([STORE_NAME], 'readwrite');
+        const transaction = db.transaction([STORE_NAME], 'readonly');
         const store = transaction.objectStore(STORE_NAME);
-        const request = store.put(record);
+        const request = store.getAll(profileRange(activeProfileId));
 
         request.onsuccess = () => {
             resolve(request.result);
@@ -55,15 +288,608 @@ export async function upsertRecord(record) {
     });
 }
 
-export async function getAllRecords() {
+// -----------------------------
+// Settings (key-value)
+// -----------------------------
+export async function getSetting(key) {
+    const db = await dbPromise;
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SETTINGS_STORE], 'readonly');
+        const store = transaction.objectStore(SETTINGS_STORE);
+        const request = store.get(key);
+
+        request.onsuccess = () => {
+            resolve(request.result ? request.result.value : null);
+        };
+
+        request.onerror = () => {
+            reject(request.error);
+        };
+    });
+}
+
+export async function putSetting(key, value) {
+    const db = await dbPromise;
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SETTINGS_STORE], 'readwrite');
+        const store = transaction.objectStore(SETTINGS_STORE);
+        const request = value === null || value === undefined
+            ? store.delete(key)
+            : store.put({ key, value });
+
+        request.onsuccess = () => {
+            resolve();
+        };
+
+        request.onerror = () => {
+            reject(request.error);
+        };
+    });
+}
+
+// -----------------------------
+// Profiles
+// -----------------------------
+const PROFILE_DATA_STORES = [STORE_NAME, MEALS_STORE, WEIGHINS_STORE, REVISIONS_STORE];
+
+// Creates the first profile (taking over the pre-profile goal and units) if
+// there is none yet. Returns every profile, by id.
+async function ensureProfiles() {
+    const db = await dbPromise;
+    const transaction = db.transaction([PROFILES_STORE, SETTINGS_STORE], 'readwrite');
+    const done = transactionDone(transaction);
+    const profiles = transaction.objectStore(PROFILES_STORE);
+    const settings = transaction.objectStore(SETTINGS_STORE);
+
+    let rows = await requestToPromise(profiles.getAll());
+    if (rows.length === 0) {
+        const [goal, preferences] = await Promise.all([
+            requestToPromise(settings.get(GOAL_SETTING_KEY)),
+            requestToPromise(settings.get(PREFERENCES_SETTING_KEY)),
+        ]);
+        const profile = defaultProfile({ goal: goal?.value, preferences: preferences?.value });
+        profiles.put(profile);
+        rows = [profile];
+    }
+
+    await done;
+    return rows.map(normalizeProfile);
+}
+
+export async function getProfiles() {
+    return ensureProfiles();
+}
+
+/**
+ * Loads the profile saved as active (or the first one) and scopes every
+ * following read / write to it. Returns { profile, profiles }.
+ */
+export async function getActiveProfile() {
+    const profiles = await ensureProfiles();
+    const savedId = await getSetting(ACTIVE_PROFILE_SETTING_KEY);
+    const profile = profiles.find(p => p.id === savedId) || profiles[0];
+    activeProfileId = profile.id;
+    return { profile, profiles };
+}
+
+export async function setActiveProfile(id) {
+    await putSetting(ACTIVE_PROFILE_SETTING_KEY, id);
+    activeProfileId = id;
+}
+
+// Adds (no id) or updates a profile. Returns its id.
+export async function putProfile(profile) {
+    const db = await dbPromise;
+    const transaction = db.transaction([PROFILES_STORE], 'readwrite');
+    const row = normalizeProfile(profile);
+    if (row.id === undefined) delete row.id;
+    return requestToPromise(transaction.objectStore(PROFILES_STORE).put(row));
+}
+
+// Deletes a profile with all of its records, meals, weigh-ins and revisions.
+export async function deleteProfile(id) {
+    const db = await dbPromise;
+    const transaction = db.transaction([PROFILES_STORE, ...PROFILE_DATA_STORES], 'readwrite');
+    const done = transactionDone(transaction);
+
+    transaction.objectStore(PROFILES_STORE).delete(id);
+    await Promise.all(PROFILE_DATA_STORES.map(name => deleteByDate(transaction.objectStore(name), profileRange(id))));
+
+    await done;
+}
+
+// -----------------------------
+// Request / transaction helpers
+// -----------------------------
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// -----------------------------
+// Revision log
+// -----------------------------
+const REVISION_SOURCES = ['manual', 'import', 'sync'];
+
+function sameValue(a, b) {
+    return (a ?? null) === (b ?? null);
+}
+
+// One revision row per changed field: { profile_id, date, field, before, after, at, source }.
+function logRevisions(transaction, key, before, after, source) {
+    if (!REVISION_SOURCES.includes(source)) throw new Error(`Unknown revision source: ${source}`);
+    const [profileId, date] = key;
+    const store = transaction.objectStore(REVISIONS_STORE);
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    fields.delete('date');
+    fields.delete('profile_id');
+    const at = Date.now();
+    fields.forEach(field => {
+        const from = before?.[field] ?? null;
+        const to = after?.[field] ?? null;
+        if (!sameValue(from, to)) store.add({ profile_id: profileId, date, field, before: from, after: to, at, source });
+    });
+}
+
+/**
+ * Writes (or, with next = null, deletes) the record at `key` ([profile_id, date])
+ * inside the caller's transaction, which must include the records and
+ * revisions stores.
+ */
+async function writeRecord(transaction, key, next, source = 'manual') {
+    const records = transaction.objectStore(STORE_NAME);
+    const [profileId, date] = key;
+    const row = next ? { ...next, profile_id: profileId, date } : null;
+    const previous = await requestToPromise(records.get(key));
+    logRevisions(transaction, key, previous, row, source);
+    return requestToPromise(row ? records.put(row) : records.delete(key));
+}
+
+// Newest first.
+export async function getRevisionsForDate(date) {
+    const db = await dbPromise;
+    const transaction = db.transaction([REVISIONS_STORE], 'readonly');
+    const rows = await requestToPromise(transaction.objectStore(REVISIONS_STORE).index('profile_date').getAll(dayKey(date)));
+    return rows.sort((a, b) => b.id - a.id);
+}
+
+/**
+ * Sets one field of the record for `date` back to `value` (logged as a new
+ * manual revision).
+ */
+export async function revertRecordField(date, field, value) {
+    const db = await dbPromise;
+    const transaction = db.transaction([STORE_NAME, REVISIONS_STORE], 'readwrite');
+    const done = transactionDone(transaction);
+
+    const key = dayKey(date);
+    const base = (await requestToPromise(transaction.objectStore(STORE_NAME).get(key)))
+        || { date, weight: null, total_calorie: null };
+    await writeRecord(transaction, key, { ...base, [field]: value ?? null });
+
+    await done;
+}
+
+// -----------------------------
+// Meals
+// -----------------------------
+function sumField(items, field) {
+    const values = items.map(item => toNumberOrNull(item[field])).filter(v => v !== null);
+    return values.length === 0 ? null : Math.round(values.reduce((a, b) => a + b, 0) * 10) / 10;
+}
+
+// Recomputes records.total_calorie (and protein/fat/carbs) for `key`
+// ([profile_id, date]) from its meal items, inside the caller's transaction.
+// A day with no items left gets null totals.
+async function syncDayTotal(transaction, key, source = 'manual') {
+    const meals = transaction.objectStore(MEALS_STORE);
+    const records = transaction.objectStore(STORE_NAME);
+    const items = await requestToPromise(meals.index('profile_date').getAll(key));
+    const record = await requestToPromise(records.get(key));
+
+    const total = items.length === 0
+        ? null
+        : items.reduce((sum, item) => sum + (toNumberOrNull(item.kcal) ?? 0), 0);
+    if (!record && total === null) return;
+
+    const base = record || { date: key[1], weight: null, total_calorie: null };
+    await writeRecord(transaction, key, {
+        ...base,
+        total_calorie: total,
+        protein: sumField(items, 'protein'),
+        fat: sumField(items, 'fat'),
+        carbs: sumField(items, 'carbs'),
+    }, source);
+}
+
+export async function getMealsForDate(date) {
+    const db = await dbPromise;
+    const transaction = db.transaction([MEALS_STORE], 'readonly');
+    const items = await requestToPromise(transaction.objectStore(MEALS_STORE).index('profile_date').getAll(dayKey(date)));
+    return items.sort((a, b) => (a.created_at ?? 0) - (b.created_at ?? 0));
+}
+
+/**
+ * Adds (no id) or updates a meal item and re-derives the day's total_calorie
+ * in the same transaction. Returns the item's id.
+ */
+export async function putMeal(item) {
+    const db = await dbPromise;
+    const transaction = db.transaction([MEALS_STORE, STORE_NAME, REVISIONS_STORE], 'readwrite');
+    const done = transactionDone(transaction);
+    const meals = transaction.objectStore(MEALS_STORE);
+
+    const previous = item.id === undefined ? null : await requestToPromise(meals.get(item.id));
+    const row = { ...item, profile_id: activeProfileId };
+    if (row.id === undefined) delete row.id;
+    const id = await requestToPromise(meals.put(row));
+
+    await syncDayTotal(transaction, dayKey(item.date));
+    // moved to another date: the old day's total changes too
+    if (previous && previous.date !== item.date) await syncDayTotal(transaction, dayKey(previous.date, previous.profile_id));
+
+    await done;
+    return id;
+}
+
+export async function deleteMeal(id) {
+    const db = await dbPromise;
+    const transaction = db.transaction([MEALS_STORE, STORE_NAME, REVISIONS_STORE], 'readwrite');
+    const done = transactionDone(transaction);
+    const meals = transaction.objectStore(MEALS_STORE);
+
+    const previous = await requestToPromise(meals.get(id));
+    if (previous) {
+        await requestToPromise(meals.delete(id));
+        await syncDayTotal(transaction, dayKey(previous.date, previous.profile_id));
+    }
+
+    await done;
+    return previous || null;
+}
+
+/**
+ * Copies every meal item of `fromDate` onto `toDate` (as new items) and
+ * re-derives toDate's total. Returns the number of copied items.
+ */
+export async function copyMeals(fromDate, toDate) {
+    const db = await dbPromise;
+    const transaction = db.transaction([MEALS_STORE, STORE_NAME, REVISIONS_STORE], 'readwrite');
+    const done = transactionDone(transaction);
+    const meals = transaction.objectStore(MEALS_STORE);
+
+    const items = await requestToPromise(meals.index('profile_date').getAll(dayKey(fromDate)));
+    const now = Date.now();
+    items.forEach((item, i) => {
+        const { id, ...rest } = item;
+        meals.put({ ...rest, date: toDate, created_at: now + i });
+    });
+    if (items.length > 0) await syncDayTotal(transaction, dayKey(toDate));
+
+    await done;
+    return items.length;
+}
+
+// -----------------------------
+// Weigh-ins
+// -----------------------------
+async function readWeighInRule(transaction) {
+    const row = await requestToPromise(transaction.objectStore(SETTINGS_STORE).get(WEIGH_IN_RULE_SETTING_KEY));
+    return row ? row.value : DEFAULT_WEIGH_IN_RULE;
+}
+
+// Recomputes records.weight for `key` ([profile_id, date]) from its weigh-ins,
+// inside the caller's transaction (which must include the weighins, records
+// and settings stores).
+async function syncDayWeight(transaction, key, rule, source = 'manual') {
+    const weighins = transaction.objectStore(WEIGHINS_STORE);
+    const records = transaction.objectStore(STORE_NAME);
+    const items = await requestToPromise(weighins.index('profile_date').getAll(key));
+    const record = await requestToPromise(records.get(key));
+
+    const weight = dailyWeight(items, rule ?? await readWeighInRule(transaction));
+    if (!record && weight === null) return;
+
+    const base = record || { date: key[1], weight: null, total_calorie: null };
+    await writeRecord(transaction, key, { ...base, weight }, source);
+}
+
+export async function getWeighInsForDate(date) {
+    const db = await dbPromise;
+    const transaction = db.transaction([WEIGHINS_STORE], 'readonly');
+    return requestToPromise(transaction.objectStore(WEIGHINS_STORE).index('profile_date').getAll(dayKey(date)));
+}
+
+/**
+ * Saves a weigh-in ({ date, time, weight }) and re-derives the day's weight.
+ * A weigh-in already on that day at the same time (or untimed, when `time` is
+ * empty) is replaced instead of added, so re-saving a mistyped weight fixes
+ * it rather than leaving the wrong value as the day's first weigh-in.
+ * A day recorded before weigh-ins existed has only records.weight; that value
+ * is kept as an untimed weigh-in so adding a second one doesn't drop it.
+ * Returns { id, replaced, count } (count: the day's weigh-ins after saving).
+ */
+export async function saveWeighIn(item) {
+    const db = await dbPromise;
+    const transaction = db.transaction([WEIGHINS_STORE, STORE_NAME, SETTINGS_STORE, REVISIONS_STORE], 'readwrite');
+    const done = transactionDone(transaction);
+    const weighins = transaction.objectStore(WEIGHINS_STORE);
+
+    const key = dayKey(item.date);
+    const time = item.time || null;
+    const items = await requestToPromise(weighins.index('profile_date').getAll(key));
+    if (items.length === 0) {
+        const record = await requestToPromise(transaction.objectStore(STORE_NAME).get(key));
+        const legacy = toNumberOrNull(record?.weight);
+        if (legacy !== null) {
+            const legacyItem = { profile_id: activeProfileId, date: item.date, time: null, weight: legacy, created_at: 0 };
+            legacyItem.id = await requestToPromise(weighins.put(legacyItem));
+            items.push(legacyItem);
+        }
+    }
+
+    const previous = items.find(w => (w.time ?? null) === time);
+    const row = previous
+        ? { ...previous, weight: item.weight }
+        : { created_at: Date.now(), ...item, time, profile_id: activeProfileId };
+    if (!previous) delete row.id;
+    const id = await requestToPromise(weighins.put(row));
+    await syncDayWeight(transaction, key);
+
+    await done;
+    return { id, replaced: Boolean(previous), count: items.length + (previous ? 0 : 1) };
+}
+
+export async function deleteWeighIn(id) {
+    const db = await dbPromise;
+    const transaction = db.transaction([WEIGHINS_STORE, STORE_NAME, SETTINGS_STORE, REVISIONS_STORE], 'readwrite');
+    const done = transactionDone(transaction);
+    const weighins = transaction.objectStore(WEIGHINS_STORE);
+
+    const previous = await requestToPromise(weighins.get(id));
+    if (previous) {
+        await requestToPromise(weighins.delete(id));
+        await syncDayWeight(transaction, dayKey(previous.date, previous.profile_id));
+    }
+
+    await done;
+    return previous || null;
+}
+
+/**
+ * Saves the daily-value rule and re-derives records.weight for every date
+ * that has weigh-ins (of every profile; the rule is shared), in one transaction.
+ */
+export async function setWeighInRule(rule) {
+    const db = await dbPromise;
+    const transaction = db.transaction([WEIGHINS_STORE, STORE_NAME, SETTINGS_STORE, REVISIONS_STORE], 'readwrite');
+    const done = transactionDone(transaction);
+
+    transaction.objectStore(SETTINGS_STORE).put({ key: WEIGH_IN_RULE_SETTING_KEY, value: rule });
+    const items = await requestToPromise(transaction.objectStore(WEIGHINS_STORE).getAll());
+    const days = new Map(items.map(item => [`${item.profile_id}/${item.date}`, dayKey(item.date, item.profile_id)]));
+    for (const key of days.values()) {
+        await syncDayWeight(transaction, key, rule);
+    }
+
+    await done;
+}
+
+// -----------------------------
+// Food library
+// -----------------------------
+export async function getAllFoods() {
+    const db = await dbPromise;
+    const transaction = db.transaction([FOODS_STORE], 'readonly');
+    return requestToPromise(transaction.objectStore(FOODS_STORE).getAll());
+}
+
+export async function putFood(food) {
+    const db = await dbPromise;
+    const transaction = db.transaction([FOODS_STORE], 'readwrite');
+    const row = { ...food };
+    if (row.id === undefined) delete row.id;
+    return requestToPromise(transaction.objectStore(FOODS_STORE).put(row));
+}
+
+export async function deleteFood(id) {
+    const db = await dbPromise;
+    const transaction = db.transaction([FOODS_STORE], 'readwrite');
+    return requestToPromise(transaction.objectStore(FOODS_STORE).delete(id));
+}
+
+// Adds a meal item built from a library food and bumps the food's usage.
+export async function addMealFromFood(item, foodId) {
+    const db = await dbPromise;
+    const transaction = db.transaction([MEALS_STORE, STORE_NAME, FOODS_STORE, REVISIONS_STORE], 'readwrite');
+    const done = transactionDone(transaction);
+    const foods = transaction.objectStore(FOODS_STORE);
+
+    const row = { ...item, food_id: foodId, profile_id: activeProfileId };
+    const id = await requestToPromise(transaction.objectStore(MEALS_STORE).put(row));
+    await syncDayTotal(transaction, dayKey(item.date));
+
+    const food = await requestToPromise(foods.get(foodId));
+    if (food) {
+        foods.put({ ...food, last_used_at: Date.now(), use_count: (food.use_count ?? 0) + 1 });
+    }
+
+    await done;
+    return id;
+}
+
+// -----------------------------
+// Deleting records (whole day or one field)
+// -----------------------------
+const DAY_STORES = [STORE_NAME, MEALS_STORE, WEIGHINS_STORE, REVISIONS_STORE];
+
+// Fields whose value is derived from another store; deleting the field
+// deletes the source rows too, or the next sync would bring it back.
+const DERIVED_FIELDS = {
+    weight: { store: WEIGHINS_STORE, fields: ['weight', 'outlier'] },
+    total_calorie: { store: MEALS_STORE, fields: ['total_calorie', 'protein', 'fat', 'carbs'] },
+};
+
+// Everything stored for `key` ([profile_id, date]), as restoreDay() expects it.
+async function readDay(transaction, key) {
+    const [record, meals, weighins] = await Promise.all([
+        requestToPromise(transaction.objectStore(STORE_NAME).get(key)),
+        requestToPromise(transaction.objectStore(MEALS_STORE).index('profile_date').getAll(key)),
+        requestToPromise(transaction.objectStore(WEIGHINS_STORE).index('profile_date').getAll(key)),
+    ]);
+    return { profile_id: key[0], date: key[1], record: record || null, meals, weighins };
+}
+
+// key: [profile_id, date] or a profileRange()
+function deleteByDate(store, key) {
+    return requestToPromise(store.index('profile_date').getAllKeys(key))
+        .then(keys => Promise.all(keys.map(k => requestToPromise(store.delete(k)))));
+}
+
+function hasAnyValue(record) {
+    return Object.entries(record)
+        .some(([key, v]) => key !== 'date' && key !== 'profile_id' && v !== null && v !== undefined);
+}
+
+/**
+ * Deletes the record for `date` with its meals and weigh-ins.
+ * Returns a snapshot of the deleted data for restoreDay() (undo).
+ */
+export async function deleteRecord(date) {
+    const db = await dbPromise;
+    const transaction = db.transaction(DAY_STORES, 'readwrite');
+    const done = transactionDone(transaction);
+
+    const key = dayKey(date);
+    const snapshot = await readDay(transaction, key);
+    await Promise.all([
+        writeRecord(transaction, key, null),
+        deleteByDate(transaction.objectStore(MEALS_STORE), key),
+        deleteByDate(transaction.objectStore(WEIGHINS_STORE), key),
+    ]);
+
+    await done;
+    return snapshot;
+}
+
+/**
+ * Clears one field of the record for `date`. A record left without any value
+ * is deleted. Returns a snapshot of the day before the change for restoreDay().
+ */
+export async function deleteRecordField(date, field) {
     const db = await dbPromise;
+    const transaction = db.transaction(DAY_STORES, 'readwrite');
+    const done = transactionDone(transaction);
+
+    const key = dayKey(date);
+    const snapshot = await readDay(transaction, key);
+    if (snapshot.record) {
+        const derived = DERIVED_FIELDS[field];
+        const next = { ...snapshot.record };
+        (derived ? derived.fields : [field]).forEach(name => {
+            next[name] = null;
+        });
+        if (derived) await deleteByDate(transaction.objectStore(derived.store), key);
+
+        await writeRecord(transaction, key, hasAnyValue(next) ? next : null);
+    }
+
+    await done;
+    return snapshot;
+}
+
+// Puts a day back exactly as captured by deleteRecord / deleteRecordField.
+export async function restoreDay(snapshot) {
+    const db = await dbPromise;
+    const transaction = db.transaction(DAY_STORES, 'readwrite');
+    const done = transactionDone(transaction);
+    const meals = transaction.objectStore(MEALS_STORE);
+    const weighins = transaction.objectStore(WEIGHINS_STORE);
+    const key = dayKey(snapshot.date, snapshot.profile_id);
+
+    await Promise.all([deleteByDate(meals, key), deleteByDate(weighins, key)]);
+    snapshot.meals.forEach(item => meals.put(item));
+    snapshot.weighins.forEach(item => weighins.put(item));
+    await writeRecord(transaction, key, snapshot.record);
+
+    await done;
+}
+
+// Dates of the active profile that have meal items / weigh-ins, i.e. whose
+// total_calorie (and P/F/C) / weight are derived: { meals: Set, weighins: Set }.
+export async function getDerivedDates() {
+    const db = await dbPromise;
+    const transaction = db.transaction([MEALS_STORE, WEIGHINS_STORE], 'readonly');
+    const range = profileRange(activeProfileId);
+    const [meals, weighins] = await Promise.all([MEALS_STORE, WEIGHINS_STORE].map(name => new Promise((resolve, reject) => {
+        const dates = new Set();
+        const request = transaction.objectStore(name).index('profile_date').openKeyCursor(range);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve(dates);
+                return;
+            }
+            dates.add(cursor.key[1]);
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    })));
+    return { meals, weighins };
+}
+
+// -----------------------------
+// Range queries on the date index
+// -----------------------------
+const RANGE_PAGE_SIZE = 500;
+
+// One page per transaction so long scans don't hold a transaction open while
+// the caller processes rows. `after` = { key, primaryKey } of the last row read.
+function readRangePage(db, range, after, pageSize) {
     return new Promise((resolve, reject) => {
         const transaction = db.transaction([STORE_NAME], 'readonly');
-        const store = transaction.objectStore(STORE_NAME);
-        const request = store.getAll();
+        const index = transaction.objectStore(STORE_NAME).index('profile_date');
+        const request = index.openCursor(range);
+        const rows = [];
+        let last = null;
 
         request.onsuccess = () => {
-            resolve(request.result);
+            const cursor = request.result;
+            if (!cursor) {
+                resolve({ rows, last: null });
+                return;
+            }
+
+            // resume just past `after` (index keys are not unique)
+            if (after && rows.length === 0 && indexedDB.cmp(cursor.key, after.key) === 0) {
+                const order = indexedDB.cmp(cursor.primaryKey, after.primaryKey);
+                if (order < 0) {
+                    cursor.continuePrimaryKey(after.key, after.primaryKey);
+                    return;
+                }
+                if (order === 0) {
+                    cursor.continue();
+                    return;
+                }
+            }
+
+            rows.push(cursor.value);
+            last = { key: cursor.key, primaryKey: cursor.primaryKey };
+            if (rows.length >= pageSize) {
+                resolve({ rows, last });
+                return;
+            }
+            cursor.continue();
         };
 
         request.onerror = () => {
@@ -71,3 +897,192 @@ export async function getAllRecords() {
         };
     });
 }
+
+/**
+ * Pages of the active profile's records with start <= date <= end
+ * ('YYYY-MM-DD', inclusive), in date order.
+ */
+export async function* iterateRecordsInRange(start, end, pageSize = RANGE_PAGE_SIZE) {
+    const db = await dbPromise;
+    const profileId = activeProfileId;
+    let after = null;
+    while (true) {
+        const lower = after ? after.key : dayKey(start, profileId);
+        const range = IDBKeyRange.bound(lower, dayKey(end, profileId));
+        const page = await readRangePage(db, range, after, pageSize);
+        if (page.rows.length > 0) yield page.rows;
+        if (!page.last) return;
+        after = page.last;
+    }
+}
+
+export async function getRecordsInRange(start, end) {
+    if (start > end) return [];
+    const records = [];
+    for await (const page of iterateRecordsInRange(start, end)) {
+        records.push(...page);
+    }
+    return records;
+}
+
+// -----------------------------
+// Whole-database dump / restore (backup.js)
+// -----------------------------
+function readAllFromStore(store) {
+    return new Promise((resolve, reject) => {
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export async function exportAllStores() {
+    const db = await dbPromise;
+    const names = Array.from(db.objectStoreNames);
+    const stores = {};
+    if (names.length > 0) {
+        const transaction = db.transaction(names, 'readonly');
+        const rows = await Promise.all(names.map(name => readAllFromStore(transaction.objectStore(name))));
+        names.forEach((name, i) => {
+            stores[name] = rows[i];
+        });
+    }
+    return { dbName: DB_NAME, dbVersion: db.version, stores };
+}
+
+/**
+ * Writes every row of `stores` ({ storeName: rows[] }) in a single transaction.
+ * mode 'replace' clears each restored store first and keeps every key.
+ * 'merge' overlays rows onto existing ones with the same key, except in
+ * MERGE_AS_NEW_STORES (see mergeStores). All stores use in-line keys
+ * (keyPath), so rows carry their own keys. Stores unknown to this DB version
+ * are skipped. Rows dumped at an older `fromVersion` go through the migration
+ * transforms. Restored records are not written to the revision log; a backup
+ * carries its own revisions store.
+ */
+export async function importStores(stores, mode, fromVersion = DB_VERSION) {
+    const db = await dbPromise;
+    const known = Object.keys(stores).filter(name => db.objectStoreNames.contains(name));
+    const skippedStores = Object.keys(stores).filter(name => !known.includes(name));
+
+    if (known.length === 0) return { written: 0, skippedStores };
+
+    const rows = {};
+    known.forEach(name => {
+        rows[name] = migrateRows(name, stores[name], fromVersion);
+    });
+    const written = mode === 'replace' ? await replaceStores(db, rows) : await mergeStores(db, rows);
+    return { written, skippedStores };
+}
+
+async function replaceStores(db, rows) {
+    const names = Object.keys(rows);
+    const transaction = db.transaction(names, 'readwrite');
+    const done = transactionDone(transaction);
+    let written = 0;
+
+    names.forEach(name => {
+        const store = transaction.objectStore(name);
+        store.clear();
+        rows[name].forEach(row => {
+            store.put(row);
+            written++;
+        });
+    });
+
+    await done;
+    return written;
+}
+
+// Auto-increment ids are only unique on the device that made the backup, so
+// these rows are added with new ids instead of overwriting local rows. Foods
+// come first so meals can point at their new ids.
+const MERGE_AS_NEW_STORES = [FOODS_STORE, MEALS_STORE, WEIGHINS_STORE, REVISIONS_STORE];
+
+function withoutId(row) {
+    const { id, ...rest } = row;
+    return rest;
+}
+
+// Identifies a row by its content, to skip rows that were merged before.
+function contentKey(row) {
+    return JSON.stringify(Object.keys(row).sort().map(key => [key, row[key]]));
+}
+
+/**
+ * 'merge' restore. Rows of MERGE_AS_NEW_STORES are added as new rows unless an
+ * identical row (ignoring the id) is already there; meals' food_id is moved
+ * to the food's local id. Every day that got records, meals or weigh-ins then
+ * has its total_calorie / weight re-derived from its meals / weigh-ins, so
+ * the merged record agrees with the merged items. Profiles keep their ids:
+ * the profile_id of the other rows refers to them.
+ */
+async function mergeStores(db, rows) {
+    const names = [...new Set([...Object.keys(rows), ...DAY_STORES, SETTINGS_STORE])];
+    const transaction = db.transaction(names, 'readwrite');
+    const done = transactionDone(transaction);
+    const days = new Map();
+    const newIds = {};
+    let written = 0;
+
+    const touch = (row) => {
+        days.set(`${row.profile_id}/${row.date}`, dayKey(row.date, row.profile_id));
+    };
+
+    const overlaid = Object.keys(rows).filter(name => !MERGE_AS_NEW_STORES.includes(name));
+    await Promise.all(overlaid.map(name => {
+        const store = transaction.objectStore(name);
+        return Promise.all(rows[name].map(async row => {
+            const previous = await requestToPromise(store.get(readKey(row, store.keyPath)));
+            await requestToPromise(store.put({ ...(previous || {}), ...row }));
+            written++;
+            if (name === STORE_NAME) touch(row);
+        }));
+    }));
+
+    for (const name of MERGE_AS_NEW_STORES.filter(n => rows[n])) {
+        const store = transaction.objectStore(name);
+        const existing = new Map((await requestToPromise(store.getAll()))
+            .map(row => [contentKey(withoutId(row)), row.id]));
+        const ids = new Map();
+
+        for (const row of rows[name]) {
+            const next = withoutId(row);
+            if (name === MEALS_STORE && next.food_id !== undefined) {
+                const foodId = newIds[FOODS_STORE]?.get(next.food_id);
+                if (foodId === undefined) delete next.food_id;
+                else next.food_id = foodId;
+            }
+            const key = contentKey(next);
+            if (existing.has(key)) {
+                ids.set(row.id, existing.get(key));
+                continue;
+            }
+            const id = await requestToPromise(store.add(next));
+            existing.set(key, id);
+            ids.set(row.id, id);
+            written++;
+            if (name === MEALS_STORE || name === WEIGHINS_STORE) touch(next);
+        }
+        newIds[name] = ids;
+    }
+
+    // a day without meals / weigh-ins keeps the total / weight typed into its record
+    const rule = await readWeighInRule(transaction);
+    for (const key of days.values()) {
+        const [mealCount, weighInCount] = await Promise.all([
+            requestToPromise(transaction.objectStore(MEALS_STORE).index('profile_date').count(key)),
+            requestToPromise(transaction.objectStore(WEIGHINS_STORE).index('profile_date').count(key)),
+        ]);
+        if (mealCount > 0) await syncDayTotal(transaction, key, 'import');
+        if (weighInCount > 0) await syncDayWeight(transaction, key, rule, 'import');
+    }
+
+    await done;
+    return written;
+}
+
+function readKey(row, keyPath) {
+    if (Array.isArray(keyPath)) return keyPath.map(p => readKey(row, p));
+    return String(keyPath).split('.').reduce((v, p) => (v == null ? v : v[p]), row);
+}
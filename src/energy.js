@@ -0,0 +1,44 @@
+/**
+ * Adaptive energy expenditure (TDEE) estimate for 体重ログ
+ * 期間中の平均摂取カロリーと、トレンド体重の変化量から維持カロリーを逆算する:
+ *   TDEE = 平均摂取 - (トレンド変化 kg × KCAL_PER_KG) / 日数
+ */
+import { dayNumber } from './trend.js';
+
+// 体脂肪 1kg あたりのエネルギー
+export const KCAL_PER_KG = 7700;
+
+// これより短い期間は水分変動の影響が大きく推定しない
+export const MIN_TDEE_DAYS = 14;
+
+/**
+ * days: 日付昇順の [{ date, weight, calorie, trend }]（trend は exponentialTrend の値）
+ * windowDays: 期間の暦日数（信頼度の分母）
+ * 戻り値: null（推定不可）または
+ *   { tdee, avgIntake, trendChange, spanDays, pairedDays, coverage, confidence: 'high'|'medium'|'low' }
+ */
+export function estimateTdee(days, windowDays) {
+  const trendPoints = days.filter(d => d.trend !== null && d.trend !== undefined);
+  const intakes = days.map(d => d.calorie).filter(v => v !== null && v !== undefined);
+  if (trendPoints.length < 2 || intakes.length === 0) return null;
+
+  const first = trendPoints[0];
+  const last = trendPoints[trendPoints.length - 1];
+  const spanDays = dayNumber(last.date) - dayNumber(first.date);
+  if (spanDays < MIN_TDEE_DAYS) return null;
+
+  const avgIntake = intakes.reduce((a, b) => a + b, 0) / intakes.length;
+  const trendChange = last.trend - first.trend;
+  const tdee = avgIntake - (trendChange * KCAL_PER_KG) / spanDays;
+
+  const pairedDays = days.filter(d =>
+    d.weight !== null && d.weight !== undefined && d.calorie !== null && d.calorie !== undefined
+  ).length;
+  const coverage = windowDays > 0 ? Math.min(1, pairedDays / windowDays) : 0;
+
+  let confidence = 'low';
+  if (coverage >= 0.8 && spanDays >= 21) confidence = 'high';
+  else if (coverage >= 0.5) confidence = 'medium';
+
+  return { tdee, avgIntake, trendChange, spanDays, pairedDays, coverage, confidence };
+}
@@ -0,0 +1,65 @@
+/**
+ * Food library helpers for 体重ログ
+ * food (IndexedDB 'foods'):
+ *   { id, name, serving, kcal, protein?, fat?, carbs?, favorite, last_used_at?, use_count? }
+ * kcal / PFC は serving (例: '1杯 150g') 1 つ分の値。
+ */
+
+export const FOOD_FILTERS = ['all', 'favorite', 'recent'];
+
+// 最近使った食品として出す件数
+export const RECENT_FOODS_LIMIT = 15;
+
+// 全角/半角・大文字/小文字・カタカナ/ひらがなの違いを無視して比較する
+export function normalizeFoodText(s) {
+  return String(s ?? '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[ァ-ヶ]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60))
+    .trim();
+}
+
+/**
+ * filter: 'all' | 'favorite' | 'recent'
+ * - all / favorite: お気に入り → よく使う順 → 名前順
+ * - recent: 最近使った順（RECENT_FOODS_LIMIT 件まで）
+ */
+export function searchFoods(foods, query, filter = 'all') {
+  const q = normalizeFoodText(query);
+  let list = q ? foods.filter(f => normalizeFoodText(f.name).includes(q)) : foods.slice();
+
+  if (filter === 'favorite') list = list.filter(f => f.favorite);
+
+  if (filter === 'recent') {
+    return list
+      .filter(f => f.last_used_at)
+      .sort((a, b) => b.last_used_at - a.last_used_at)
+      .slice(0, RECENT_FOODS_LIMIT);
+  }
+
+  return list.sort((a, b) =>
+    (Number(!!b.favorite) - Number(!!a.favorite))
+    || ((b.use_count ?? 0) - (a.use_count ?? 0))
+    || String(a.name).localeCompare(String(b.name), 'ja')
+  );
+}
+
+function scale(v, servings) {
+  return v === null || v === undefined ? null : Math.round(v * servings * 10) / 10;
+}
+
+/**
+ * 食品 servings 個分の食事アイテム（meals.js の形）を作る。
+ */
+export function foodToMealItem(food, date, mealType, servings = 1) {
+  return {
+    date,
+    meal: mealType,
+    name: servings === 1 ? food.name : `${food.name} ×${servings}`,
+    kcal: Math.round(food.kcal * servings),
+    protein: scale(food.protein, servings),
+    fat: scale(food.fat, servings),
+    carbs: scale(food.carbs, servings),
+    created_at: Date.now(),
+  };
+}
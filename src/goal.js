@@ -0,0 +1,81 @@
+/**
+ * Goal weight helpers for 体重ログ
+ * goal (プロフィールの goal): { target_weight, target_date: 'YYYY-MM-DD'|null, start_weight, start_date }
+ * 現在値・ペースはトレンド (exponentialTrend) を基準にする。
+ */
+import { dayNumber, isoFromDayNumber, linearSlope } from './trend.js';
+
+// プロフィール導入前の保存先。最初のプロフィールに引き継ぐときだけ読む (db.js)
+export const GOAL_SETTING_KEY = 'goal';
+
+// ペース (傾き) を求める直近の日数
+export const PACE_WINDOW_DAYS = 28;
+
+// これより先の到達予測は「予測できない」扱い
+const MAX_PROJECTION_DAYS = 365 * 5;
+
+/**
+ * 開始体重からの変化と目標までの進捗。減量・増量どちらの目標にも対応。
+ * percent は 0〜100 に丸めない（行き過ぎ・逆行もそのまま返す）。
+ */
+export function goalProgress(goal, current) {
+  const total = goal.target_weight - goal.start_weight;
+  const change = current - goal.start_weight;
+  return {
+    change,
+    remaining: goal.target_weight - current,
+    percent: total === 0 ? 100 : (change / total) * 100,
+  };
+}
+
+export function isGoalReached(goal, current) {
+  const losing = goal.target_weight <= goal.start_weight;
+  return losing ? current <= goal.target_weight : current >= goal.target_weight;
+}
+
+/**
+ * trendSeries: 直近のトレンド値 [{ date, value }]（日付昇順）
+ * 戻り値: {
+ *   current, slopePerWeek, reached,
+ *   projectedDate: 'YYYY-MM-DD'|null (今のペースでは到達しない場合 null),
+ *   requiredPerWeek: 目標日までに必要な週あたり変化 (目標日なしは null),
+ *   onTrack: 目標日に間に合うか (目標日なしは null)
+ * }
+ */
+export function projectGoal(goal, trendSeries, todayISO) {
+  const points = trendSeries.filter(p => p.value !== null && p.value !== undefined);
+  if (points.length === 0) return null;
+
+  const current = points[points.length - 1].value;
+  const today = dayNumber(todayISO);
+  const windowStart = today - PACE_WINDOW_DAYS + 1;
+  const slope = linearSlope(points.filter(p => dayNumber(p.date) >= windowStart));
+  const reached = isGoalReached(goal, current);
+
+  let projectedDate = null;
+  if (reached) {
+    projectedDate = todayISO;
+  } else if (slope !== null && slope !== 0) {
+    const days = (goal.target_weight - current) / slope;
+    if (days > 0 && days <= MAX_PROJECTION_DAYS) {
+      projectedDate = isoFromDayNumber(today + Math.ceil(days));
+    }
+  }
+
+  let requiredPerWeek = null;
+  let onTrack = null;
+  if (goal.target_date) {
+    const daysLeft = dayNumber(goal.target_date) - today;
+    if (!reached && daysLeft > 0) requiredPerWeek = ((goal.target_weight - current) / daysLeft) * 7;
+    onTrack = reached || (projectedDate !== null && projectedDate <= goal.target_date);
+  }
+
+  return {
+    current,
+    slopePerWeek: slope === null ? null : slope * 7,
+    reached,
+    projectedDate,
+    requiredPerWeek,
+    onTrack,
+  };
+}
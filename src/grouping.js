@@ -0,0 +1,106 @@
+/**
+ * Day / week / month grouping for 体重ログ (レポートの表とグラフ)
+ * - 週は月曜始まり (ISO 8601)。ラベルには ISO 週番号を使う
+ * - 表示範囲の端で切れた週・月は範囲内の日だけを集計し、partial = true にする
+ * - 平均は記録のある日だけで割る（記録のない日は 0 として数えない）。
+ *   loggedDays / days で記録の抜けを表示できるようにする
+ * - 体重は stats.weightStats（外れ値は除く）、カロリーは stats.calorieStats で集計する
+ */
+import { dayNumber, isoFromDayNumber } from './trend.js';
+import { weightStats, calorieStats } from './stats.js';
+import { weightSeries } from './outliers.js';
+
+export const GROUPINGS = [
+  { key: 'day', label: '日' },
+  { key: 'week', label: '週' },
+  { key: 'month', label: '月' },
+];
+
+export const DEFAULT_GROUPING = 'day';
+
+export function grouping(key) {
+  return GROUPINGS.find(g => g.key === key) || GROUPINGS[0];
+}
+
+// その日を含む週の月曜日 (dayNumber 0 = 1970-01-01 は木曜)
+function weekStartDay(day) {
+  return day - ((((day + 3) % 7) + 7) % 7);
+}
+
+// ISO 8601 の週番号。年は週の木曜日が属する年
+export function isoWeek(iso) {
+  const thursday = weekStartDay(dayNumber(iso)) + 3;
+  const year = Number(isoFromDayNumber(thursday).slice(0, 4));
+  return { year, week: Math.floor((thursday - dayNumber(`${year}-01-01`)) / 7) + 1 };
+}
+
+// iso を含む週・月の最初と最後の日（day はその日だけ）
+export function bucketBounds(iso, groupingKey) {
+  const day = dayNumber(iso);
+  if (groupingKey === 'week') {
+    const start = weekStartDay(day);
+    return { start: isoFromDayNumber(start), end: isoFromDayNumber(start + 6) };
+  }
+  if (groupingKey === 'month') {
+    const [y, m] = iso.split('-').map(Number);
+    const nextMonth = Math.round(Date.UTC(y, m, 1) / 86400000);
+    return { start: `${iso.slice(0, 7)}-01`, end: isoFromDayNumber(nextMonth - 1) };
+  }
+  return { start: iso, end: iso };
+}
+
+function hasValue(v) {
+  return v !== null && v !== undefined && v !== '';
+}
+
+// 値のある記録だけの平均（なければ null）。PFC・測定値の列に使う
+export function averageField(records, key) {
+  const values = records.map(r => r[key]).filter(hasValue).map(Number).filter(Number.isFinite);
+  return values.length === 0 ? null : values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+/**
+ * records（日付昇順で startISO〜endISO に入るもの）を区切りごとにまとめる。
+ * 記録が 1 件もない区切りも返す（グラフの横軸を詰めないため）。
+ * bucket: { key, start, end, days, fullDays, loggedDays, partial, records, weight, calorie }
+ * - start / end は表示範囲で切った後の日付。days はその日数、fullDays は切る前の日数
+ * - loggedDays は体重かカロリーのどちらかを記録した日数
+ * - weight: { count, mean, min, end, ... } / calorie: { count, mean, total, ... }（記録がなければ null）
+ */
+export function groupRecords(records, groupingKey, startISO, endISO) {
+  const buckets = [];
+  const last = dayNumber(endISO);
+  let day = dayNumber(startISO);
+  let i = 0;
+
+  while (day <= last) {
+    const bounds = bucketBounds(isoFromDayNumber(day), groupingKey);
+    const bucketEnd = Math.min(dayNumber(bounds.end), last);
+    const start = isoFromDayNumber(day);
+    const end = isoFromDayNumber(bucketEnd);
+
+    while (i < records.length && records[i].date < start) i++;
+    const bucketRecords = [];
+    while (i < records.length && records[i].date <= end) bucketRecords.push(records[i++]);
+
+    const days = bucketEnd - day + 1;
+    const fullDays = dayNumber(bounds.end) - dayNumber(bounds.start) + 1;
+    buckets.push({
+      key: bounds.start,
+      start,
+      end,
+      days,
+      fullDays,
+      loggedDays: bucketRecords.filter(r => hasValue(r.weight) || hasValue(r.total_calorie)).length,
+      partial: days < fullDays,
+      records: bucketRecords,
+      weight: weightStats(weightSeries(bucketRecords)),
+      calorie: calorieStats(bucketRecords.map(r => ({
+        date: r.date,
+        value: hasValue(r.total_calorie) ? Number(r.total_calorie) : null,
+      }))),
+    });
+    day = bucketEnd + 1;
+  }
+  return buckets;
+}
@@ -0,0 +1,52 @@
+/**
+ * Macronutrient (PFC) helpers for 体重ログ
+ * レコード・食事アイテムの protein / fat / carbs はグラム数 (null = 未入力)。
+ */
+
+export const MACROS = [
+  { key: 'protein', label: 'たんぱく質', short: 'P', kcalPerGram: 4 },
+  { key: 'fat', label: '脂質', short: 'F', kcalPerGram: 9 },
+  { key: 'carbs', label: '炭水化物', short: 'C', kcalPerGram: 4 },
+];
+
+function isSet(v) {
+  return v !== null && v !== undefined && Number.isFinite(Number(v));
+}
+
+export function hasMacros(obj) {
+  return MACROS.some(m => isSet(obj?.[m.key]));
+}
+
+/**
+ * PFC のグラム数からカロリーを計算する（未入力の栄養素は 0 扱い、全部未入力なら null）。
+ */
+export function kcalFromMacros(obj) {
+  if (!hasMacros(obj)) return null;
+  return MACROS.reduce((sum, m) => sum + (isSet(obj[m.key]) ? Number(obj[m.key]) * m.kcalPerGram : 0), 0);
+}
+
+/**
+ * 栄養素ごとの合計グラム。どのアイテムにも値がない栄養素は null。
+ */
+export function sumMacros(items) {
+  const out = {};
+  MACROS.forEach(m => {
+    const values = items.map(item => item[m.key]).filter(isSet).map(Number);
+    out[m.key] = values.length === 0 ? null : Math.round(values.reduce((a, b) => a + b, 0) * 10) / 10;
+  });
+  return out;
+}
+
+/**
+ * グラム数 → 各栄養素のカロリー比率 (%)。合計 0 なら null。
+ */
+export function pfcRatio(grams) {
+  const kcal = MACROS.map(m => (isSet(grams[m.key]) ? Number(grams[m.key]) * m.kcalPerGram : 0));
+  const total = kcal.reduce((a, b) => a + b, 0);
+  if (total <= 0) return null;
+  const out = {};
+  MACROS.forEach((m, i) => {
+    out[m.key] = (kcal[i] / total) * 100;
+  });
+  return out;
+}
@@ -0,0 +1,43 @@
+/**
+ * Meal log helpers for 体重ログ
+ * meal item (IndexedDB 'meals'):
+ *   { id, date, meal: 'breakfast'|'lunch'|'dinner'|'snack', name, kcal, protein?, fat?, carbs?, created_at }
+ */
+
+export const MEAL_TYPES = [
+  { key: 'breakfast', label: '朝食' },
+  { key: 'lunch', label: '昼食' },
+  { key: 'dinner', label: '夕食' },
+  { key: 'snack', label: '間食' },
+];
+
+export function mealTypeLabel(key) {
+  return MEAL_TYPES.find(t => t.key === key)?.label ?? key;
+}
+
+export function sumKcal(items) {
+  return items.reduce((sum, item) => sum + (Number(item.kcal) || 0), 0);
+}
+
+/**
+ * MEAL_TYPES の順に [{ type, items, kcal }] を返す（項目のない区分は除く）。
+ */
+export function groupMeals(items) {
+  return MEAL_TYPES
+    .map(type => {
+      const list = items.filter(item => item.meal === type.key);
+      return { type, items: list, kcal: sumKcal(list) };
+    })
+    .filter(group => group.items.length > 0);
+}
+
+/**
+ * 現在の時刻から既定の食事区分を推定する。
+ */
+export function defaultMealType(date = new Date()) {
+  const h = date.getHours();
+  if (h < 10) return 'breakfast';
+  if (h < 15) return 'lunch';
+  if (h < 21) return 'dinner';
+  return 'snack';
+}
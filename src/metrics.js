@@ -0,0 +1,59 @@
+/**
+ * Optional body metrics for 体重ログ
+ * - 体重・カロリー以外の測定値はレコードのトップレベルに key ごとに保存する
+ *   例: { date, weight, total_calorie, body_fat: 22.5, waist: 80.0, custom_1: 36.5 }
+ * - ユーザー定義項目は settings 'customMetrics' に定義を保存し、key は 'custom_<n>'
+ * - dimension: 'weight' の項目は体重と同じく kg で保存し、入力・表示はプロフィールの
+ *   体重の単位に換算する (units.js)。min / max は kg
+ */
+import { weightUnit } from './units.js';
+
+export const CUSTOM_METRICS_SETTING_KEY = 'customMetrics';
+
+export const BUILTIN_METRICS = [
+  { key: 'body_fat', label: '体脂肪率', unit: '%', digits: 1, min: 1, max: 80 },
+  { key: 'muscle_mass', label: '筋肉量', unit: 'kg', dimension: 'weight', digits: 1, min: 1, max: 300 },
+  { key: 'waist', label: 'ウエスト', unit: 'cm', digits: 1, min: 20, max: 300 },
+];
+
+export function getMetricDefs(customMetrics) {
+  return [...BUILTIN_METRICS, ...(customMetrics || [])];
+}
+
+export function findMetricDef(defs, key) {
+  return defs.find(d => d.key === key) || null;
+}
+
+// units: プロフィールの units（dimension のある項目の単位に使う）
+export function metricUnitLabel(def, units = {}) {
+  return def.dimension === 'weight' ? weightUnit(units.weight).label : def.unit;
+}
+
+export function formatMetricLabel(def, units = {}) {
+  const unit = metricUnitLabel(def, units);
+  return unit ? `${def.label} (${unit})` : def.label;
+}
+
+/**
+ * 値の検証。空 (null) は OK。min/max の範囲外ならエラーメッセージを返す（ユーザー定義項目は範囲なし）。
+ */
+export function validateMetricValue(def, value) {
+  if (value === null) return null;
+  if (def.min !== undefined && value < def.min) return `${def.label}が小さすぎます`;
+  if (def.max !== undefined && value > def.max) return `${def.label}が大きすぎます`;
+  return null;
+}
+
+/**
+ * ユーザー定義項目を作る。label が空、または既存と重複する場合は null。
+ */
+export function createCustomMetric(customMetrics, label, unit) {
+  const name = String(label ?? '').trim();
+  if (!name) return null;
+  const defs = getMetricDefs(customMetrics);
+  if (defs.some(d => d.label === name)) return null;
+
+  const used = (customMetrics || []).map(d => Number(String(d.key).replace('custom_', ''))).filter(Number.isFinite);
+  const next = used.length === 0 ? 1 : Math.max(...used) + 1;
+  return { key: `custom_${next}`, label: name, unit: String(unit ?? '').trim(), digits: 1 };
+}
@@ -0,0 +1,61 @@
+/**
+ * Outlier / typo detection for 体重ログ
+ * - 入力した体重を、その日より前の直近の記録のトレンド (exponentialTrend) と比べ、
+ *   差が閾値 (割合 or 重さ) を超えたら保存前に確認する
+ * - records.outlier = true の日は記録として残すが、平均・平滑線・TDEE・目標ペースの計算からは外す
+ * - 閾値は settings 'preferences' の outlierRule / outlierThreshold (重さは kg)
+ */
+import { exponentialTrend, dayNumber } from './trend.js';
+
+// トレンドを作る直近の日数と、そのうち必要な記録の件数
+export const OUTLIER_REFERENCE_DAYS = 14;
+export const OUTLIER_MIN_POINTS = 3;
+
+export const OUTLIER_RULES = [
+  { key: 'percent', label: '割合 (%)', thresholds: [3, 5, 10], defaultThreshold: 5 },
+  { key: 'kg', label: '重さ', thresholds: [1, 2, 3, 5], defaultThreshold: 3 },
+  { key: 'off', label: 'チェックしない', thresholds: [], defaultThreshold: null },
+];
+
+export const DEFAULT_OUTLIER_RULE = 'percent';
+
+export function outlierRule(key) {
+  return OUTLIER_RULES.find(r => r.key === key) || OUTLIER_RULES[0];
+}
+
+export function isOutlier(record) {
+  return record?.outlier === true;
+}
+
+// trend.js の series。外れ値の日は値なしとして扱う
+export function weightSeries(records) {
+  return records.map(r => {
+    const v = isOutlier(r) ? null : r.weight;
+    return { date: r.date, value: v === null || v === undefined || v === '' ? null : Number(v) };
+  });
+}
+
+/**
+ * dateISO より前 OUTLIER_REFERENCE_DAYS 日の記録 (日付昇順) から作る基準の体重 (kg)。
+ * 記録が OUTLIER_MIN_POINTS 件に満たなければ null（判定しない）。
+ */
+export function referenceWeight(records, dateISO) {
+  const day = dayNumber(dateISO);
+  const recent = weightSeries(records)
+    .filter(p => p.value !== null && dayNumber(p.date) < day && dayNumber(p.date) >= day - OUTLIER_REFERENCE_DAYS);
+  if (recent.length < OUTLIER_MIN_POINTS) return null;
+  const trend = exponentialTrend(recent);
+  return trend[trend.length - 1];
+}
+
+/**
+ * weight (kg) が基準から閾値を超えて離れていれば { reference, deviation, percent } を返す。
+ * 問題なし・判定できないときは null。
+ */
+export function checkWeight(weight, reference, { rule, threshold }) {
+  if (reference === null || rule === 'off') return null;
+  const deviation = weight - reference;
+  const percent = (deviation / reference) * 100;
+  const exceeded = rule === 'kg' ? Math.abs(deviation) > threshold : Math.abs(percent) > threshold;
+  return exceeded ? { reference, deviation, percent } : null;
+}
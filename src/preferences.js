@@ -0,0 +1,54 @@
+/**
+ * Display preferences for 体重ログ (settings 'preferences')
+ * - reportRangeDays / graphRangeDays: レポート・グラフを開いたときの期間
+ * - weightDigits: 体重の小数桁数 (kg 基準、units.js の単位ごとの桁を足す)
+ * - theme: 'mode' = 朝は明るく夜は暗く / 'light' / 'dark'
+ * - bmiStandard: BMI の判定基準 (bmi.js)
+ * - outlierRule / outlierThreshold: 入力した体重の確認の閾値 (outliers.js)
+ * 自動モード (automode.js) と通知 (reminders.js) はそれぞれ別のキーに保存する。
+ * 単位は人ごとに違うのでプロフィール (profiles.js) に持つ。
+ */
+import { BMI_STANDARDS, DEFAULT_BMI_STANDARD } from './bmi.js';
+import { OUTLIER_RULES, DEFAULT_OUTLIER_RULE, outlierRule } from './outliers.js';
+
+export const PREFERENCES_SETTING_KEY = 'preferences';
+
+export const RANGE_CHOICES = [7, 14, 30, 90, 180, 365];
+
+export const WEIGHT_DIGIT_CHOICES = [0, 1, 2];
+
+export const THEMES = [
+  { key: 'mode', label: '朝/夜モードに合わせる' },
+  { key: 'light', label: 'ライト' },
+  { key: 'dark', label: 'ダーク' },
+];
+
+export const DEFAULT_PREFERENCES = {
+  reportRangeDays: 30,
+  graphRangeDays: 7,
+  weightDigits: 1,
+  theme: 'mode',
+  bmiStandard: DEFAULT_BMI_STANDARD,
+  outlierRule: DEFAULT_OUTLIER_RULE,
+  outlierThreshold: outlierRule(DEFAULT_OUTLIER_RULE).defaultThreshold,
+};
+
+export function normalizePreferences(value) {
+  const prefs = { ...DEFAULT_PREFERENCES, ...(value || {}) };
+  if (!RANGE_CHOICES.includes(prefs.reportRangeDays)) prefs.reportRangeDays = DEFAULT_PREFERENCES.reportRangeDays;
+  if (!RANGE_CHOICES.includes(prefs.graphRangeDays)) prefs.graphRangeDays = DEFAULT_PREFERENCES.graphRangeDays;
+  if (!WEIGHT_DIGIT_CHOICES.includes(prefs.weightDigits)) prefs.weightDigits = DEFAULT_PREFERENCES.weightDigits;
+  if (!THEMES.some(t => t.key === prefs.theme)) prefs.theme = DEFAULT_PREFERENCES.theme;
+  if (!BMI_STANDARDS.some(s => s.key === prefs.bmiStandard)) prefs.bmiStandard = DEFAULT_PREFERENCES.bmiStandard;
+  if (!OUTLIER_RULES.some(r => r.key === prefs.outlierRule)) prefs.outlierRule = DEFAULT_PREFERENCES.outlierRule;
+  const rule = outlierRule(prefs.outlierRule);
+  if (!rule.thresholds.includes(prefs.outlierThreshold)) prefs.outlierThreshold = rule.defaultThreshold;
+  return prefs;
+}
+
+// テーマと現在のモードから、画面の見た目に使うモード ('morning' | 'night')
+export function themeLook(theme, mode) {
+  if (theme === 'light') return 'morning';
+  if (theme === 'dark') return 'night';
+  return mode;
+}
@@ -0,0 +1,77 @@
+/**
+ * Profiles for 体重ログ (1 台の端末を家族で使う)
+ * profile (profiles ストア): { id, name, height_cm, sex, birth_year, goal, calorie_target, units: { weight, energy } }
+ * - calorie_target: 1 日の目標摂取カロリー (kcal)。レポートで超えた日数を数える
+ * - 記録・食事・計量・変更履歴は profile_id ごとに分ける。食品ライブラリと設定は共有
+ * - 使用中のプロフィールは settings 'activeProfile' に保存する
+ *   (通知の判定で service worker も読むので、キー名を変えたら public/reminder-sw.js も合わせること)
+ * - プロフィール導入前のデータは DEFAULT_PROFILE_ID のプロフィールのものとして移行する
+ */
+import { WEIGHT_UNITS, ENERGY_UNITS, CANONICAL_WEIGHT_UNIT, CANONICAL_ENERGY_UNIT } from './units.js';
+
+export const ACTIVE_PROFILE_SETTING_KEY = 'activeProfile';
+
+// DB v8 のマイグレーションで既存データに付ける id（変えないこと）
+export const DEFAULT_PROFILE_ID = 1;
+
+export const SEXES = [
+  { key: 'female', label: '女性' },
+  { key: 'male', label: '男性' },
+  { key: 'other', label: '回答しない' },
+];
+
+function numberOrNull(v) {
+  if (v === null || v === undefined || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function normalizeProfile(value) {
+  const p = value || {};
+  const units = p.units || {};
+  return {
+    ...p,
+    name: String(p.name ?? '').trim(),
+    height_cm: numberOrNull(p.height_cm),
+    sex: SEXES.some(s => s.key === p.sex) ? p.sex : 'other',
+    birth_year: numberOrNull(p.birth_year),
+    goal: p.goal || null,
+    calorie_target: numberOrNull(p.calorie_target),
+    units: {
+      weight: WEIGHT_UNITS.some(u => u.key === units.weight) ? units.weight : CANONICAL_WEIGHT_UNIT,
+      energy: ENERGY_UNITS.some(u => u.key === units.energy) ? units.energy : CANONICAL_ENERGY_UNIT,
+    },
+  };
+}
+
+/**
+ * 最初のプロフィール。プロフィール導入前は目標を settings 'goal'、単位を
+ * settings 'preferences' に持っていたので、それを引き継ぐ。
+ */
+export function defaultProfile({ goal = null, preferences = null } = {}) {
+  return normalizeProfile({
+    id: DEFAULT_PROFILE_ID,
+    name: 'わたし',
+    goal,
+    units: { weight: preferences?.weightUnit, energy: preferences?.energyUnit },
+  });
+}
+
+// 入力内容の誤り（なければ null）
+export function validateProfile(profile, thisYear) {
+  if (!profile.name) return '名前を入力してください';
+  if (profile.height_cm !== null && (profile.height_cm < 50 || profile.height_cm > 250)) {
+    return '身長は 50〜250 cm で入力してください';
+  }
+  if (profile.birth_year !== null && (profile.birth_year < 1900 || profile.birth_year > thisYear)) {
+    return `生まれ年は 1900〜${thisYear} で入力してください`;
+  }
+  if (profile.calorie_target !== null && profile.calorie_target <= 0) {
+    return '目標カロリーは 0 より大きい値で入力してください';
+  }
+  return null;
+}
+
+export function sexLabel(key) {
+  return SEXES.find(s => s.key === key)?.label ?? '';
+}
@@ -0,0 +1,65 @@
+/**
+ * Morning / night logging reminders for 体重ログ
+ * - 設定は settings 'reminders' に { morning: { enabled, time }, night: { enabled, time } }
+ * - 同じ日に 2 回通知しないよう、通知した日付を settings 'reminderLastShown' に残す
+ * - アプリを閉じている間は service worker (public/reminder-sw.js) が periodicsync で同じ判定をする。
+ *   キー名・判定を変えたらそちらも合わせること
+ */
+
+export const REMINDERS_SETTING_KEY = 'reminders';
+export const REMINDER_LAST_SHOWN_KEY = 'reminderLastShown';
+export const REMINDER_SYNC_TAG = 'weight-log-reminder';
+
+// 設定時刻からこの分数を過ぎたら、その日はもう通知しない
+export const REMINDER_WINDOW_MINUTES = 180;
+
+export const REMINDER_KINDS = [
+  { key: 'morning', label: '朝の体重', field: 'weight', title: '体重を記録しましょう', action: '体重を記録' },
+  { key: 'night', label: '夜のカロリー', field: 'total_calorie', title: '今日のカロリーを記録しましょう', action: 'カロリーを記録' },
+];
+
+export const DEFAULT_REMINDERS = {
+  morning: { enabled: false, time: '07:00' },
+  night: { enabled: false, time: '21:00' },
+};
+
+export function normalizeReminders(value) {
+  const out = {};
+  REMINDER_KINDS.forEach(kind => {
+    out[kind.key] = { ...DEFAULT_REMINDERS[kind.key], ...(value?.[kind.key] || {}) };
+  });
+  return out;
+}
+
+function minutesOf(hhmm) {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * kind の通知を今出すべきか。
+ * now: Date / todayISO: now の日付 / record: 今日のレコード / lastShown: settings 'reminderLastShown'
+ */
+export function isReminderDue(kind, reminder, { now, todayISO, record, lastShown }) {
+  if (!reminder?.enabled || !reminder.time) return false;
+  if (lastShown?.[kind.key] === todayISO) return false;
+
+  const v = record?.[kind.field];
+  if (v !== null && v !== undefined) return false;
+
+  const elapsed = now.getHours() * 60 + now.getMinutes() - minutesOf(reminder.time);
+  return elapsed >= 0 && elapsed < REMINDER_WINDOW_MINUTES;
+}
+
+export function reminderNotification(kind) {
+  return {
+    title: kind.title,
+    options: {
+      body: '体重ログを開いて記録してください',
+      tag: `reminder-${kind.key}`,
+      icon: '/pwa-192x192.png',
+      data: { mode: kind.key },
+      actions: [{ action: kind.key, title: kind.action }],
+    },
+  };
+}
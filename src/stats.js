@@ -0,0 +1,99 @@
+/**
+ * Period statistics for 体重ログ (レポートの集計カード)
+ * series は日付昇順の [{ date: 'YYYY-MM-DD', value: number|null }]（trend.js と同じ形）。
+ * 値のない日は数えない。外れ値は呼び出し側で null にしておく (outliers.weightSeries)。
+ * 値は kg / kcal のまま返し、表示単位への換算は呼び出し側で行う。
+ */
+import { dayNumber, isoFromDayNumber, linearSlope } from './trend.js';
+
+function valuesOf(series) {
+  return series.filter(p => p.value !== null && p.value !== undefined);
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+// 標本標準偏差 (n - 1)。2 件未満なら null
+export function standardDeviation(values) {
+  if (values.length < 2) return null;
+  const m = mean(values);
+  return Math.sqrt(values.reduce((a, v) => a + (v - m) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * 体重の集計。記録がなければ null。
+ * min / max / start / end は { value, date }（同じ値が複数あれば早い日付）。
+ * weeklyRate は最小二乗の傾き × 7（2 件未満なら null）。
+ */
+export function weightStats(series) {
+  const points = valuesOf(series);
+  if (points.length === 0) return null;
+
+  const values = points.map(p => p.value);
+  const min = points.reduce((a, p) => (p.value < a.value ? p : a));
+  const max = points.reduce((a, p) => (p.value > a.value ? p : a));
+  const start = points[0];
+  const end = points[points.length - 1];
+  const slope = linearSlope(points);
+
+  return {
+    count: points.length,
+    mean: mean(values),
+    min: { value: min.value, date: min.date },
+    max: { value: max.value, date: max.date },
+    start: { value: start.value, date: start.date },
+    end: { value: end.value, date: end.date },
+    change: end.value - start.value,
+    weeklyRate: slope === null ? null : slope * 7,
+    stdDev: standardDeviation(values),
+  };
+}
+
+/**
+ * カロリーの集計。記録がなければ null。
+ * target (kcal/日) があれば、それを超えた日数を overTargetDays に入れる（なければ null）。
+ */
+export function calorieStats(series, target = null) {
+  const values = valuesOf(series).map(p => p.value);
+  if (values.length === 0) return null;
+
+  const total = values.reduce((a, b) => a + b, 0);
+  return {
+    count: values.length,
+    total,
+    mean: total / values.length,
+    overTargetDays: target ? values.filter(v => v > target).length : null,
+  };
+}
+
+// start〜end (両端含む) の直前にある同じ日数の期間
+export function previousPeriod(startISO, endISO) {
+  const start = dayNumber(startISO);
+  const length = dayNumber(endISO) - start + 1;
+  return { start: isoFromDayNumber(start - length), end: isoFromDayNumber(start - 1) };
+}
+
+export function summarizePeriod({ weights, calories }, { calorieTarget = null } = {}) {
+  return {
+    weight: weightStats(weights),
+    calorie: calorieStats(calories, calorieTarget),
+  };
+}
+
+function delta(current, previous) {
+  if (current === null || current === undefined || previous === null || previous === undefined) return null;
+  return current - previous;
+}
+
+/**
+ * summarizePeriod() どうしの差 (current - previous)。どちらかに値がない項目は null。
+ */
+export function comparePeriods(current, previous) {
+  return {
+    weightMean: delta(current.weight?.mean, previous.weight?.mean),
+    weeklyRate: delta(current.weight?.weeklyRate, previous.weight?.weeklyRate),
+    calorieMean: delta(current.calorie?.mean, previous.calorie?.mean),
+    calorieTotal: delta(current.calorie?.total, previous.calorie?.total),
+  };
+}
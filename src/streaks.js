@@ -0,0 +1,75 @@
+/**
+ * Logging streaks / calendar helpers for 体重ログ
+ * - 「記録した日」は体重かカロリーのどちらかがある日
+ * - 日付はすべて 'YYYY-MM-DD'
+ */
+import { dayNumber, isoFromDayNumber } from './trend.js';
+
+// 体重・カロリーの有無による日の状態
+export function dayStatus(record) {
+  const hasWeight = record?.weight !== null && record?.weight !== undefined;
+  const hasCalorie = record?.total_calorie !== null && record?.total_calorie !== undefined;
+  if (hasWeight && hasCalorie) return 'both';
+  if (hasWeight) return 'weight';
+  if (hasCalorie) return 'calorie';
+  return 'none';
+}
+
+export function loggedDates(records) {
+  return new Set(records.filter(r => dayStatus(r) !== 'none').map(r => r.date));
+}
+
+/**
+ * current: 今日まで続いている連続記録日数（今日が未記録なら昨日まで）
+ * longest: 過去最長の連続記録日数
+ */
+export function loggingStreaks(logged, todayISO) {
+  const days = [...logged].map(dayNumber).sort((a, b) => a - b);
+
+  let longest = 0;
+  let run = 0;
+  days.forEach((day, i) => {
+    run = i > 0 && day === days[i - 1] + 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  const today = dayNumber(todayISO);
+  let cursor = logged.has(todayISO) ? today : today - 1;
+  let current = 0;
+  while (logged.has(isoFromDayNumber(cursor))) {
+    current++;
+    cursor--;
+  }
+
+  return { current, longest };
+}
+
+/**
+ * 昨日からさかのぼって最初の未記録日。最初の記録より前の日は対象外（無ければ null）。
+ */
+export function nearestUnloggedDate(logged, todayISO) {
+  if (logged.size === 0) return null;
+  const first = Math.min(...[...logged].map(dayNumber));
+  for (let day = dayNumber(todayISO) - 1; day >= first; day--) {
+    const iso = isoFromDayNumber(day);
+    if (!logged.has(iso)) return iso;
+  }
+  return null;
+}
+
+/**
+ * 月カレンダーの週ごとの日付（日曜始まり、月外は null）。month は 1-12。
+ */
+export function monthGrid(year, month) {
+  const firstDay = dayNumber(`${year}-${String(month).padStart(2, '0')}-01`);
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const offset = new Date(firstDay * 86400000).getUTCDay();
+
+  const cells = [...Array(offset).fill(null)];
+  for (let d = 0; d < daysInMonth; d++) cells.push(isoFromDayNumber(firstDay + d));
+  while (cells.length % 7 !== 0) cells.push(null);
+
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) weeks.push(cells.slice(i, i + 7));
+  return weeks;
+}
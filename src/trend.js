@@ -0,0 +1,100 @@
+/**
+ * Weight smoothing for 体重ログ
+ * - movingAverage: 直近 N 日 (暦日) の単純移動平均
+ * - exponentialTrend: The Hacker's Diet の「真の体重」(指数平滑, 係数 0.1)
+ * series は日付昇順の [{ date: 'YYYY-MM-DD', value: number|null }]。
+ * 戻り値は series と同じ並びの number|null 配列。
+ */
+
+export const SMA_WINDOW_DAYS = 7;
+export const EMA_ALPHA = 0.1;
+
+// 表示範囲より前のデータで平滑値を立ち上げるための日数 (0.9^60 ≒ 0.2%)
+export const TREND_LEAD_DAYS = 60;
+
+export function dayNumber(iso) {
+  const [y, m, d] = String(iso).split('-').map(Number);
+  return Math.round(Date.UTC(y, m - 1, d) / 86400000);
+}
+
+/**
+ * 各日付について [date - (windowDays-1), date] に入る記録値の平均。
+ * 記録が抜けている日は単に除外する（窓内に 1 件も無ければ null）。
+ */
+export function movingAverage(series, windowDays = SMA_WINDOW_DAYS) {
+  const days = series.map(p => dayNumber(p.date));
+  const out = [];
+  let head = 0;
+  let sum = 0;
+  let count = 0;
+
+  for (let i = 0; i < series.length; i++) {
+    const v = series[i].value;
+    if (v !== null && v !== undefined) {
+      sum += v;
+      count++;
+    }
+    while (days[head] <= days[i] - windowDays) {
+      const old = series[head].value;
+      if (old !== null && old !== undefined) {
+        sum -= old;
+        count--;
+      }
+      head++;
+    }
+    out.push(count > 0 ? sum / count : null);
+  }
+  return out;
+}
+
+/**
+ * trend = trend + alpha * (value - trend) を 1 日ごとに適用する。
+ * 記録が n 日空いたときは n 日分の減衰 (1 - (1 - alpha)^n) をまとめて掛ける。
+ * 値の無い日はその時点の trend を返す。
+ */
+export function exponentialTrend(series, alpha = EMA_ALPHA) {
+  const out = [];
+  let trend = null;
+  let lastDay = null;
+
+  series.forEach(p => {
+    const v = p.value;
+    if (v !== null && v !== undefined) {
+      const day = dayNumber(p.date);
+      if (trend === null) {
+        trend = v;
+      } else {
+        const gap = Math.max(1, day - lastDay);
+        const k = 1 - Math.pow(1 - alpha, gap);
+        trend += k * (v - trend);
+      }
+      lastDay = day;
+    }
+    out.push(trend);
+  });
+  return out;
+}
+
+export function isoFromDayNumber(n) {
+  return new Date(n * 86400000).toISOString().slice(0, 10);
+}
+
+/**
+ * 最小二乗法による傾き（1 日あたりの変化量）。値のある点が 2 点未満なら null。
+ */
+export function linearSlope(series) {
+  const pts = series
+    .filter(p => p.value !== null && p.value !== undefined)
+    .map(p => ({ x: dayNumber(p.date), y: p.value }));
+  if (pts.length < 2) return null;
+
+  const mx = pts.reduce((a, p) => a + p.x, 0) / pts.length;
+  const my = pts.reduce((a, p) => a + p.y, 0) / pts.length;
+  let sxy = 0;
+  let sxx = 0;
+  pts.forEach(p => {
+    sxy += (p.x - mx) * (p.y - my);
+    sxx += (p.x - mx) ** 2;
+  });
+  return sxx === 0 ? null : sxy / sxx;
+}
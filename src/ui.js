@@ -1,5 +1,48 @@
-import { getRecord, upsertRecord, getAllRecords } from './db.js';
+import {
+  getRecord, upsertRecord, getAllRecords, getRecordsInRange, getSetting, putSetting,
+  getMealsForDate, putMeal, deleteMeal, copyMeals, getAllFoods, putFood, deleteFood, addMealFromFood,
+  getWeighInsForDate, saveWeighIn, deleteWeighIn, setWeighInRule, getDerivedDates,
+  deleteRecord, deleteRecordField, restoreDay, getRevisionsForDate, revertRecordField, dbEvents,
+  getProfiles, getActiveProfile, setActiveProfile, putProfile, deleteProfile,
+} from './db.js';
 import Chart from 'chart.js/auto';
+import { parseRecordsCSV, recordsToCSV, mergeImportedRecord, withoutDerivedValues } from './csv.js';
+import { movingAverage, exponentialTrend, TREND_LEAD_DAYS } from './trend.js';
+import { estimateTdee, MIN_TDEE_DAYS } from './energy.js';
+import { PACE_WINDOW_DAYS, goalProgress, projectGoal } from './goal.js';
+import {
+  CUSTOM_METRICS_SETTING_KEY, getMetricDefs, findMetricDef, formatMetricLabel, metricUnitLabel, validateMetricValue,
+  createCustomMetric,
+} from './metrics.js';
+import { MEAL_TYPES, mealTypeLabel, groupMeals, sumKcal, defaultMealType } from './meals.js';
+import { searchFoods, foodToMealItem } from './foods.js';
+import {
+  WEIGHT_UNITS, ENERGY_UNITS, weightUnit, energyUnit, weightDigits,
+  toDisplayWeight, fromDisplayWeight, toDisplayEnergy, fromDisplayEnergy, roundCanonicalWeight, roundCanonicalEnergy,
+} from './units.js';
+import { SEXES, normalizeProfile, validateProfile } from './profiles.js';
+import { BMI_STANDARDS, bmiStandard, computeBmi, bmiCategory, weightForBmi } from './bmi.js';
+import { summarizePeriod, comparePeriods, previousPeriod } from './stats.js';
+import { DEFAULT_GROUPING, groupRecords, isoWeek, averageField } from './grouping.js';
+import {
+  OUTLIER_RULES, OUTLIER_REFERENCE_DAYS, outlierRule, isOutlier, weightSeries, referenceWeight, checkWeight,
+} from './outliers.js';
+import {
+  PREFERENCES_SETTING_KEY, RANGE_CHOICES, WEIGHT_DIGIT_CHOICES, THEMES, normalizePreferences, themeLook,
+} from './preferences.js';
+import {
+  AUTO_MODE_SETTING_KEY, normalizeAutoMode, autoModeFor, logDateFor, getModeOverride, setModeOverride,
+} from './automode.js';
+import {
+  REMINDERS_SETTING_KEY, REMINDER_LAST_SHOWN_KEY, REMINDER_SYNC_TAG, REMINDER_KINDS,
+  normalizeReminders, isReminderDue, reminderNotification,
+} from './reminders.js';
+import { dayStatus, loggedDates, loggingStreaks, nearestUnloggedDate, monthGrid } from './streaks.js';
+import { MACROS, hasMacros, kcalFromMacros, sumMacros, pfcRatio } from './macros.js';
+import {
+  WEIGH_IN_RULES, WEIGH_IN_RULE_SETTING_KEY, DEFAULT_WEIGH_IN_RULE, weighInRuleLabel, sortWeighIns, currentTimeHHMM,
+} from './weighins.js';
+import { createBackup, backupToBlob, parseBackup, summarizeBackup, restoreBackup, BackupError } from './backup.js';
 
 
 /**
@@ -16,11 +59,66 @@ const state = {
   mode: 'morning', // 'morning' | 'night'
   currentDate: null, // 'YYYY-MM-DD'
   currentRecord: null,
+  metricDefs: getMetricDefs([]), // 体重・カロリー以外の測定値 (metrics.js)
+  prefs: normalizePreferences(null), // 表示設定 (preferences.js)
+  profile: normalizeProfile(null), // 使用中のプロフィール (profiles.js)
+};
+
+const profileState = {
+  profiles: [],
+  editingId: null, // 編集中の profile.id（新規は null）
+};
+
+const mealState = {
+  items: [], // 表示中の日付の食事
+  editingId: null, // 編集中の item.id
+};
+
+const reportState = {
+  editingDate: null, // 表の中で編集中の日付
+  grouping: DEFAULT_GROUPING, // 'day' | 'week' | 'month' (grouping.js)
+};
+
+const calendarState = {
+  year: null,
+  month: null, // 1-12
+  records: new Map(), // date -> record（全期間）
+};
+
+const historyState = {
+  date: null, // 履歴を表示中の日付
+};
+
+const weighInState = {
+  items: [], // 表示中の日付の計量
+  rule: DEFAULT_WEIGH_IN_RULE, // 1 日の代表値の決め方 (weighins.js)
+};
+
+const foodState = {
+  foods: [],
+  filter: 'all', // 'all' | 'favorite' | 'recent'
+  editingId: null, // 編集中の food.id
+};
+
+const importState = {
+  rows: [], // parseRecordsCSV() の結果
+  existing: new Map(), // date -> 既存レコード
+  derived: { meals: new Set(), weighins: new Set() }, // 食事・計量のある日付 (db.getDerivedDates)
+  fileName: '',
+};
+
+const backupState = {
+  pending: null, // parseBackup() 済みの復元待ちバックアップ
 };
 
 const graphState = {
-  metric: 'weight', // 'weight' | 'calorie'
+  metric: 'weight', // 'weight' | 'calorie' | 'both'
   chart: null,
+  showSma: false, // 7日移動平均
+  showEma: true, // 指数平滑トレンド
+  showBmiBands: true, // 体重の線の後ろに BMI の区分を描く（身長があるとき）
+  goal: null, // 使用中のプロフィールの goal
+  grouping: DEFAULT_GROUPING, // 'day' | 'week' | 'month' (grouping.js)
 };
 
 // -----------------------------
@@ -41,6 +139,49 @@ function parseISODate(s) {
   return d;
 }
 
+function shiftISODate(iso, days) {
+  const [y, m, d] = iso.split('-').map(Number);
+  return toISODate(new Date(y, m - 1, d + days));
+}
+
+// 'YYYY-MM-DD' -> 'M/D'
+function formatShortDate(iso) {
+  const [, m, d] = String(iso).split('-').map(Number);
+  return `${m}/${d}`;
+}
+
+// 週・月の短い見出し（グラフの横軸）
+function bucketLabel(bucket, groupingKey) {
+  if (groupingKey === 'week') return `${formatShortDate(bucket.start)}〜`;
+  if (groupingKey === 'month') {
+    const [y, m] = bucket.key.split('-').map(Number);
+    return `${y}/${m}`;
+  }
+  return formatShortDate(bucket.start);
+}
+
+// 週・月の見出し（表・ツールチップ）。範囲の端で切れたときは集計した日付も出す
+function bucketTitle(bucket, groupingKey) {
+  const range = `${formatShortDate(bucket.start)}〜${formatShortDate(bucket.end)}`;
+  if (groupingKey === 'week') {
+    const { year, week } = isoWeek(bucket.key);
+    return `${year}年 第${week}週（${range}）`;
+  }
+  if (groupingKey === 'month') {
+    const [y, m] = bucket.key.split('-').map(Number);
+    return bucket.partial ? `${y}年${m}月（${range}）` : `${y}年${m}月`;
+  }
+  return bucket.start;
+}
+
+function setGroupingTabs(container, groupingKey) {
+  container?.querySelectorAll('.toggle-btn[data-grouping]').forEach(btn => {
+    const active = btn.dataset.grouping === groupingKey;
+    btn.classList.toggle('is-active', active);
+    btn.setAttribute('aria-pressed', String(active));
+  });
+}
+
 function clampDateRange(start, end) {
   const s = parseISODate(start);
   const e = parseISODate(end);
@@ -60,9 +201,10 @@ function hide(el) {
 }
 
 function setBodyMode(mode) {
-  document.body.classList.toggle('mode-morning', mode === 'morning');
-  document.body.classList.toggle('mode-night', mode === 'night');
-  const theme = mode === 'morning' ? '#e0f7fa' : '#10131a';
+  const look = themeLook(state.prefs.theme, mode);
+  document.body.classList.toggle('mode-morning', look === 'morning');
+  document.body.classList.toggle('mode-night', look === 'night');
+  const theme = look === 'morning' ? '#e0f7fa' : '#10131a';
   if (UI.themeMeta) UI.themeMeta.setAttribute('content', theme);
 }
 
@@ -77,9 +219,82 @@ function destroyGraphChart() {
   }
 }
 
+// In-app dialog (alert / confirm / prompt の代わり)
+/**
+ * OK で true、キャンセル・Esc・背景のクリックで false を返す。
+ * cancelLabel = null ならボタン 1 つのお知らせ（閉じると true）。
+ * fields: [{ label, placeholder, value }] を渡すと入力欄を出し、OK で入力値の配列、
+ * キャンセルで null を返す（入力欄で Enter は OK）。
+ * 確認では誤って保存しないよう、キャンセルにフォーカスを置く（入力欄があれば最初の入力欄）。
+ */
+function showDialog({ title, message = '', okLabel = 'OK', cancelLabel = null, fields = null }) {
+  const dialog = UI.dialog;
+  if (!dialog) return Promise.resolve(fields ? null : true);
+
+  return new Promise(resolve => {
+    const returnFocus = document.activeElement;
+    if (UI.dialogTitle) UI.dialogTitle.textContent = title;
+    if (UI.dialogMessage) {
+      UI.dialogMessage.textContent = message;
+      UI.dialogMessage.classList.toggle('hidden', !message);
+    }
+    if (UI.dialogOkBtn) UI.dialogOkBtn.textContent = okLabel;
+    if (UI.dialogCancelBtn) {
+      UI.dialogCancelBtn.textContent = cancelLabel ?? '';
+      UI.dialogCancelBtn.classList.toggle('hidden', cancelLabel === null);
+    }
+
+    const inputs = (fields || []).map((field, i) => {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.id = `dialog-field-${i}`;
+      input.placeholder = field.placeholder ?? '';
+      input.value = field.value ?? '';
+      return input;
+    });
+    if (UI.dialogFields) {
+      UI.dialogFields.innerHTML = '';
+      (fields || []).forEach((field, i) => {
+        const wrap = document.createElement('div');
+        const label = document.createElement('label');
+        label.htmlFor = inputs[i].id;
+        label.textContent = field.label;
+        wrap.append(label, inputs[i]);
+        UI.dialogFields.appendChild(wrap);
+      });
+    }
+
+    const close = (result) => {
+      hide(dialog);
+      dialog.onclick = null;
+      dialog.onkeydown = null;
+      if (UI.dialogFields) UI.dialogFields.innerHTML = '';
+      returnFocus?.focus?.();
+      if (fields) resolve(result ? inputs.map(input => input.value) : null);
+      else resolve(cancelLabel === null ? true : result);
+    };
+    dialog.onclick = (e) => {
+      if (e.target === UI.dialogOkBtn) close(true);
+      else if (e.target === UI.dialogCancelBtn || e.target === dialog) close(false);
+    };
+    dialog.onkeydown = (e) => {
+      if (e.key === 'Escape') close(false);
+      else if (e.key === 'Enter' && inputs.includes(e.target)) {
+        e.preventDefault();
+        close(true);
+      }
+    };
+
+    show(dialog);
+    if (inputs.length > 0) inputs[0].focus();
+    else (cancelLabel === null ? UI.dialogOkBtn : UI.dialogCancelBtn)?.focus();
+  });
+}
+
 // Toast notification helper
 let toastTimer = null;
-function showToast(message, type = 'success', duration = 2000) {
+// action: { label, onClick } を渡すとトースト内にボタンを出す（削除の取り消しなど）
+function showToast(message, type = 'success', duration = 2000, action = null) {
   const toast = document.getElementById('toast');
   if (!toast) return;
   
@@ -92,6 +307,18 @@ function showToast(message, type = 'success', duration = 2000) {
   toast.className = 'toast';
   toast.textContent = message;
   toast.classList.add(type);
+  if (action) {
+    const btn = document.createElement('button');
+    btn.className = 'toast-action';
+    btn.textContent = action.label;
+    btn.addEventListener('click', () => {
+      clearTimeout(toastTimer);
+      toastTimer = null;
+      toast.classList.remove('show');
+      action.onClick();
+    });
+    toast.appendChild(btn);
+  }
   
   // Show toast
   requestAnimationFrame(() => {
@@ -105,31 +332,180 @@ function showToast(message, type = 'success', duration = 2000) {
   }, duration);
 }
 
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// -----------------------------
+// Units (DB は kg / kcal、入力と表示だけプロフィールの単位に換算する)
+// -----------------------------
+function weightUnitLabel() {
+  return weightUnit(state.profile.units.weight).label;
+}
+
+function energyUnitLabel() {
+  return energyUnit(state.profile.units.energy).label;
+}
+
+function displayWeightDigits() {
+  return weightDigits(state.profile.units.weight, state.prefs.weightDigits);
+}
+
+// 体重の入力欄の刻みは表示桁数に合わせる（st は小数 2 桁など）
+function weightInputStep() {
+  return String(10 ** -displayWeightDigits());
+}
+
+// kg -> 表示単位の数値（グラフ用）
+function displayWeight(kg) {
+  return toDisplayWeight(kg, state.profile.units.weight);
+}
+
+function displayEnergy(kcal) {
+  return toDisplayEnergy(kcal, state.profile.units.energy);
+}
+
+function formatWeight(kg) {
+  const v = displayWeight(kg);
+  return v === null ? '-' : v.toFixed(displayWeightDigits());
+}
+
+function formatWeightChange(kg) {
+  if (kg === null || kg === undefined) return '-';
+  return kg > 0 ? `+${formatWeight(kg)}` : formatWeight(kg);
+}
+
+function formatEnergy(kcal) {
+  const v = displayEnergy(kcal);
+  return v === null ? '-' : String(Math.round(v));
+}
+
+// 入力欄の値 (表示単位) -> kg / kcal
+function parseWeightInput(input) {
+  return roundCanonicalWeight(fromDisplayWeight(safeNumber(input?.value), state.profile.units.weight));
+}
+
+function parseEnergyInput(input) {
+  return roundCanonicalEnergy(fromDisplayEnergy(safeNumber(input?.value), state.profile.units.energy));
+}
+
+// kg / kcal -> 入力欄の値
+function weightInputValue(kg) {
+  const v = displayWeight(kg);
+  return v === null ? '' : String(Number(v.toFixed(displayWeightDigits())));
+}
+
+function energyInputValue(kcal) {
+  const v = displayEnergy(kcal);
+  return v === null ? '' : String(Math.round(v));
+}
+
+// BMI は身長 (プロフィール) がなければ null
+function recordBmi(kg) {
+  return computeBmi(kg, state.profile.height_cm);
+}
+
+function formatBmi(bmi) {
+  return bmi === null ? '-' : bmi.toFixed(1);
+}
+
+function applyUnitLabels() {
+  document.querySelectorAll('[data-unit="weight"]').forEach(el => {
+    el.textContent = weightUnitLabel();
+  });
+  document.querySelectorAll('[data-unit="energy"]').forEach(el => {
+    el.textContent = energyUnitLabel();
+  });
+  [UI.mealKcal, UI.foodKcal].forEach(input => {
+    if (input) input.placeholder = energyUnitLabel();
+  });
+  document.querySelectorAll('input[data-step="weight"]').forEach(input => {
+    input.step = weightInputStep();
+  });
+}
+
 function safeNumber(v) {
   if (v === null || v === undefined || v === '') return null;
   const n = Number(v);
   return Number.isFinite(n) ? n : null;
 }
 
+// 平滑値の立ち上げ用に表示範囲の TREND_LEAD_DAYS 日前から読み込む（外れ値の日は除く）
+async function getRecordsWithTrend(startISO, endISO) {
+  const all = await getRecordsInRange(shiftISODate(startISO, -TREND_LEAD_DAYS), endISO);
+  const series = weightSeries(all);
+  const sma = movingAverage(series);
+  const ema = exponentialTrend(series);
+
+  let from = all.findIndex(r => r.date >= startISO);
+  if (from < 0) from = all.length;
+  return {
+    records: all.slice(from),
+    sma: sma.slice(from),
+    ema: ema.slice(from),
+  };
+}
+
 // -----------------------------
 // UI references (index_fixed.html準拠)
 // -----------------------------
 const UI = {
   // main
   mainView: document.getElementById('app'),
+  dialog: document.getElementById('dialog'),
+  dialogTitle: document.getElementById('dialog-title'),
+  dialogFields: document.getElementById('dialog-fields'),
+  dialogMessage: document.getElementById('dialog-message'),
+  dialogOkBtn: document.getElementById('dialog-ok-btn'),
+  dialogCancelBtn: document.getElementById('dialog-cancel-btn'),
   dateInput: document.getElementById('date-input'),
   btnMorning: document.getElementById('btn-mode-morning'),
   btnNight: document.getElementById('btn-mode-night'),
   weightGroup: document.getElementById('weight-group'),
   calorieGroup: document.getElementById('calorie-group'),
   weightInput: document.getElementById('weight-input'),
+  weighInTime: document.getElementById('weigh-in-time'),
+  weighInRule: document.getElementById('weigh-in-rule'),
+  weighInDaily: document.getElementById('weigh-in-daily'),
+  weighInList: document.getElementById('weigh-in-list'),
+  extraMetricsGroup: document.getElementById('extra-metrics-group'),
+  extraMetricsFields: document.getElementById('extra-metrics-fields'),
+  addMetricBtn: document.getElementById('add-metric-btn'),
   calorieInput: document.getElementById('calorie-input'),
+  calorieDerivedNote: document.getElementById('calorie-derived-note'),
+  proteinInput: document.getElementById('protein-input'),
+  fatInput: document.getElementById('fat-input'),
+  carbsInput: document.getElementById('carbs-input'),
+  mealTotal: document.getElementById('meal-total'),
+  mealList: document.getElementById('meal-list'),
+  mealType: document.getElementById('meal-type'),
+  mealName: document.getElementById('meal-name'),
+  mealKcal: document.getElementById('meal-kcal'),
+  mealProtein: document.getElementById('meal-protein'),
+  mealFat: document.getElementById('meal-fat'),
+  mealCarbs: document.getElementById('meal-carbs'),
+  mealSaveBtn: document.getElementById('meal-save-btn'),
+  mealCancelBtn: document.getElementById('meal-cancel-btn'),
+  mealToFoodBtn: document.getElementById('meal-to-food-btn'),
+  foodOpenBtn: document.getElementById('food-open-btn'),
+  mealCopyYesterdayBtn: document.getElementById('meal-copy-yesterday-btn'),
   actionBtn: document.getElementById('action-btn'),
   appTitle: document.getElementById('app-title'),
   themeMeta: document.getElementById('theme-color-meta'),
   exportBtn: document.getElementById('export-btn'),
   reportLinkBtn: document.getElementById('report-link-btn'),
   graphBtn: document.getElementById('graph-btn'),
+  importBtn: document.getElementById('import-btn'),
+  importFileInput: document.getElementById('import-file-input'),
+  backupBtn: document.getElementById('backup-btn'),
+  restoreFileInput: document.getElementById('restore-file-input'),
 
   // report overlay
   reportView: document.getElementById('report-view'),
@@ -138,12 +514,118 @@ const UI = {
   reportUpdateBtn: document.getElementById('report-update-btn'),
   reportBackBtn: document.getElementById('report-back-btn'),
   reportTableBody: document.getElementById('report-table-body'),
+  reportTableHeadRow: document.getElementById('report-table-head-row'),
+  reportTable: document.getElementById('report-table'),
+  reportGrouping: document.getElementById('report-grouping'),
+  reportGroupTable: document.getElementById('report-group-table'),
+  reportGroupBody: document.getElementById('report-group-body'),
   reportQ1w: document.getElementById('report-q-1w'),
   reportQ1m: document.getElementById('report-q-1m'),
   reportQ3m: document.getElementById('report-q-3m'),
   reportQ1y: document.getElementById('report-q-1y'),
   summaryWeight: document.getElementById('summary-weight'),
   summaryCalorie: document.getElementById('summary-calorie'),
+  summaryBmi: document.getElementById('summary-bmi'),
+  summaryGoal: document.getElementById('summary-goal'),
+  summaryPfc: document.getElementById('summary-pfc'),
+  summaryTdee: document.getElementById('summary-tdee'),
+  goalEditBtn: document.getElementById('goal-edit-btn'),
+
+  // goal overlay
+  calendarBtn: document.getElementById('calendar-btn'),
+  calendarView: document.getElementById('calendar-view'),
+  calendarGrid: document.getElementById('calendar-grid'),
+  calendarMonthLabel: document.getElementById('calendar-month-label'),
+  calendarPrevBtn: document.getElementById('calendar-prev-btn'),
+  calendarNextBtn: document.getElementById('calendar-next-btn'),
+  calendarFillBtn: document.getElementById('calendar-fill-btn'),
+  calendarBackBtn: document.getElementById('calendar-back-btn'),
+  streakCurrent: document.getElementById('streak-current'),
+  streakLongest: document.getElementById('streak-longest'),
+  settingsBtn: document.getElementById('settings-btn'),
+  settingsView: document.getElementById('settings-view'),
+  profileSelect: document.getElementById('profile-select'),
+  profileView: document.getElementById('profile-view'),
+  profileList: document.getElementById('profile-list'),
+  profileNewBtn: document.getElementById('profile-new-btn'),
+  profileFormTitle: document.getElementById('profile-form-title'),
+  profileName: document.getElementById('profile-name'),
+  profileHeight: document.getElementById('profile-height'),
+  profileSex: document.getElementById('profile-sex'),
+  profileBirthYear: document.getElementById('profile-birth-year'),
+  profileCalorieTarget: document.getElementById('profile-calorie-target'),
+  profileCalorieUnit: document.getElementById('profile-calorie-unit'),
+  profileWeightUnit: document.getElementById('profile-weight-unit'),
+  profileEnergyUnit: document.getElementById('profile-energy-unit'),
+  profileSaveBtn: document.getElementById('profile-save-btn'),
+  profileDeleteBtn: document.getElementById('profile-delete-btn'),
+  profileBackBtn: document.getElementById('profile-back-btn'),
+  autoModeEnabled: document.getElementById('auto-mode-enabled'),
+  autoModeMorningHour: document.getElementById('auto-mode-morning-hour'),
+  autoModeNightHour: document.getElementById('auto-mode-night-hour'),
+  settingsSaveBtn: document.getElementById('settings-save-btn'),
+  settingsBackBtn: document.getElementById('settings-back-btn'),
+  prefReportRange: document.getElementById('pref-report-range'),
+  prefGraphRange: document.getElementById('pref-graph-range'),
+  prefWeightDigits: document.getElementById('pref-weight-digits'),
+  prefTheme: document.getElementById('pref-theme'),
+  prefBmiStandard: document.getElementById('pref-bmi-standard'),
+  prefOutlierRule: document.getElementById('pref-outlier-rule'),
+  prefOutlierThreshold: document.getElementById('pref-outlier-threshold'),
+  reminderMorningEnabled: document.getElementById('reminder-morning-enabled'),
+  reminderMorningTime: document.getElementById('reminder-morning-time'),
+  reminderNightEnabled: document.getElementById('reminder-night-enabled'),
+  reminderNightTime: document.getElementById('reminder-night-time'),
+  reminderStatus: document.getElementById('reminder-status'),
+  historyView: document.getElementById('history-view'),
+  historyTitle: document.getElementById('history-title'),
+  historyList: document.getElementById('history-list'),
+  historyBackBtn: document.getElementById('history-back-btn'),
+  goalView: document.getElementById('goal-view'),
+  goalTargetWeight: document.getElementById('goal-target-weight'),
+  goalTargetDate: document.getElementById('goal-target-date'),
+  goalStartWeight: document.getElementById('goal-start-weight'),
+  goalStartDate: document.getElementById('goal-start-date'),
+  goalSaveBtn: document.getElementById('goal-save-btn'),
+  goalClearBtn: document.getElementById('goal-clear-btn'),
+  goalBackBtn: document.getElementById('goal-back-btn'),
+
+  // food overlay
+  foodView: document.getElementById('food-view'),
+  foodTargetDate: document.getElementById('food-target-date'),
+  foodSearch: document.getElementById('food-search'),
+  foodFilterTabs: document.getElementById('food-filter-tabs'),
+  foodMealType: document.getElementById('food-meal-type'),
+  foodServings: document.getElementById('food-servings'),
+  foodList: document.getElementById('food-list'),
+  foodEditor: document.getElementById('food-editor'),
+  foodEditorTitle: document.getElementById('food-editor-title'),
+  foodName: document.getElementById('food-name'),
+  foodServing: document.getElementById('food-serving'),
+  foodKcal: document.getElementById('food-kcal'),
+  foodProtein: document.getElementById('food-protein'),
+  foodFat: document.getElementById('food-fat'),
+  foodCarbs: document.getElementById('food-carbs'),
+  foodSaveBtn: document.getElementById('food-save-btn'),
+  foodDeleteBtn: document.getElementById('food-delete-btn'),
+  foodCancelBtn: document.getElementById('food-cancel-btn'),
+  foodBackBtn: document.getElementById('food-back-btn'),
+
+  // import overlay
+  importView: document.getElementById('import-view'),
+  importSummary: document.getElementById('import-summary'),
+  importTableBody: document.getElementById('import-table-body'),
+  importApplyBtn: document.getElementById('import-apply-btn'),
+  importBackBtn: document.getElementById('import-back-btn'),
+
+  // backup overlay
+  backupView: document.getElementById('backup-view'),
+  backupSaveBtn: document.getElementById('backup-save-btn'),
+  backupRestorePickBtn: document.getElementById('backup-restore-pick-btn'),
+  restorePreview: document.getElementById('restore-preview'),
+  restoreSummary: document.getElementById('restore-summary'),
+  restoreApplyBtn: document.getElementById('restore-apply-btn'),
+  backupBackBtn: document.getElementById('backup-back-btn'),
 
   // graph overlay
   graphView: document.getElementById('graph-view'),
@@ -153,10 +635,128 @@ const UI = {
   graphBackBtn: document.getElementById('graph-back-btn'),
   graphCanvas: document.getElementById('graphCanvas'),
   graphEmptyNote: document.getElementById('graphEmptyNote'),
-  metricWeightBtn: document.getElementById('metric-weight'),
-  metricCalorieBtn: document.getElementById('metric-calorie'),
+  metricTabs: document.getElementById('metric-tabs'),
+  graphGrouping: document.getElementById('graph-grouping'),
+  trendToggles: document.getElementById('trend-toggles'),
+  trendSmaBtn: document.getElementById('trend-sma-btn'),
+  trendEmaBtn: document.getElementById('trend-ema-btn'),
+  bmiBandsBtn: document.getElementById('bmi-bands-btn'),
 };
 
+// -----------------------------
+// Body metrics
+// -----------------------------
+async function loadMetricDefs() {
+  const custom = await getSetting(CUSTOM_METRICS_SETTING_KEY);
+  state.metricDefs = getMetricDefs(custom || []);
+  renderMetricInputs();
+}
+
+function metricInput(key) {
+  return document.getElementById(`metric-input-${key}`);
+}
+
+// dimension: 'weight' の測定値（筋肉量）は体重と同じ単位で入力・表示する
+function displayMetric(def, v) {
+  return def.dimension === 'weight' ? displayWeight(v) : v;
+}
+
+function formatMetricValue(def, v) {
+  const n = safeNumber(v);
+  if (def.dimension === 'weight') return formatWeight(n);
+  return n === null ? '-' : n.toFixed(def.digits ?? 1);
+}
+
+function parseMetricInput(def, input) {
+  return def.dimension === 'weight' ? parseWeightInput(input) : safeNumber(input?.value);
+}
+
+function metricInputValue(def, v) {
+  if (def.dimension === 'weight') return weightInputValue(v);
+  return (v === null || v === undefined) ? '' : String(v);
+}
+
+function renderMetricInputs() {
+  if (!UI.extraMetricsFields) return;
+  UI.extraMetricsFields.innerHTML = '';
+
+  state.metricDefs.forEach(def => {
+    const wrap = document.createElement('div');
+
+    const label = document.createElement('label');
+    label.htmlFor = `metric-input-${def.key}`;
+    if (def.dimension === 'weight') {
+      // 単位は applyUnitLabels() でプロフィールに合わせる
+      const unit = document.createElement('span');
+      unit.dataset.unit = 'weight';
+      unit.textContent = weightUnitLabel();
+      label.append(`${def.label}（`, unit, '）');
+    } else {
+      label.textContent = def.unit ? `${def.label}（${def.unit}）` : def.label;
+    }
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.id = `metric-input-${def.key}`;
+    if (def.dimension === 'weight') {
+      input.dataset.step = 'weight';
+      input.step = weightInputStep();
+    } else {
+      input.step = String(10 ** -(def.digits ?? 1));
+    }
+    input.inputMode = 'decimal';
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        input.blur();
+      }
+    });
+
+    wrap.append(label, input);
+    UI.extraMetricsFields.appendChild(wrap);
+  });
+
+  fillMetricInputs(state.currentRecord);
+}
+
+function fillMetricInputs(rec) {
+  state.metricDefs.forEach(def => {
+    const input = metricInput(def.key);
+    if (!input) return;
+    input.value = metricInputValue(def, rec?.[def.key]);
+  });
+}
+
+async function addCustomMetric() {
+  const values = await showDialog({
+    title: '測定項目を追加',
+    okLabel: '追加',
+    cancelLabel: 'キャンセル',
+    fields: [
+      { label: '項目名', placeholder: '例：体温' },
+      { label: '単位（任意）', placeholder: '例：℃' },
+    ],
+  });
+  if (values === null) return;
+  const [label, unit] = values;
+
+  const custom = (await getSetting(CUSTOM_METRICS_SETTING_KEY)) || [];
+  const def = createCustomMetric(custom, label, unit);
+  if (!def) {
+    await showDialog({ title: '入力を確認してください', message: '項目名が空か、すでに同じ名前の項目があります。' });
+    return;
+  }
+
+  try {
+    await putSetting(CUSTOM_METRICS_SETTING_KEY, [...custom, def]);
+    await loadMetricDefs();
+    showToast(`「${def.label}」を追加しました`, 'success', 2000);
+  } catch (err) {
+    console.error('Add metric failed:', err);
+    showToast('項目の追加に失敗しました', 'error', 2500);
+  }
+}
+
 // -----------------------------
 // Main actions
 // -----------------------------
@@ -168,58 +768,128 @@ async function loadRecordForDate(dateISO) {
   // reflect UI
   UI.dateInput && (UI.dateInput.value = dateISO);
 
-  const w = rec?.weight ?? '';
-  const c = rec?.total_calorie ?? '';
-  if (UI.weightInput) UI.weightInput.value = (w === null || w === undefined) ? '' : String(w);
-  if (UI.calorieInput) UI.calorieInput.value = (c === null || c === undefined) ? '' : String(c);
+  // 体重欄は新しい計量の入力用（その日の値は計量リストに出す）
+  if (UI.weightInput) UI.weightInput.value = '';
+  if (UI.weighInTime) UI.weighInTime.value = dateISO === toISODate(new Date()) ? currentTimeHHMM() : '';
+  if (UI.calorieInput) UI.calorieInput.value = energyInputValue(rec?.total_calorie);
+  MACROS.forEach(m => {
+    const input = macroInput(m.key);
+    if (input) input.value = rec?.[m.key] ?? '';
+  });
+  fillMetricInputs(rec);
 
   // button label
   if (UI.actionBtn) {
     UI.actionBtn.textContent = state.mode === 'morning' ? '体重を記録' : 'カロリーを記録';
   }
+
+  await loadWeighIns(dateISO);
+  await loadMeals(dateISO);
 }
 
 async function saveCurrent() {
   const dateISO = UI.dateInput?.value || state.currentDate;
   if (!dateISO) return;
 
-  const weightVal = safeNumber(UI.weightInput?.value);
-  const calVal = safeNumber(UI.calorieInput?.value);
+  const weightVal = parseWeightInput(UI.weightInput);
+  const macroVals = {};
+  MACROS.forEach(m => {
+    macroVals[m.key] = safeNumber(macroInput(m.key)?.value);
+  });
+  // カロリー未入力で PFC だけあるときは PFC から計算する
+  const macroKcal = kcalFromMacros(macroVals);
+  const calVal = parseEnergyInput(UI.calorieInput) ?? (macroKcal === null ? null : Math.round(macroKcal));
+  const metricVals = {};
+  state.metricDefs.forEach(def => {
+    metricVals[def.key] = parseMetricInput(def, metricInput(def.key));
+  });
 
   // validate (modeに応じて最低限)
   if (state.mode === 'morning') {
-    if (weightVal === null || weightVal <= 0) {
-      alert('正しい体重を入力してください');
+    // 週 1 回のウエストなど、体重なしで測定値だけ記録する日もある
+    const hasMetric = Object.values(metricVals).some(v => v !== null);
+    if ((weightVal === null && !hasMetric) || (weightVal !== null && weightVal <= 0)) {
+      await showDialog({ title: '体重を入力してください', message: '0 より大きい体重を入力してください。' });
+      UI.weightInput?.focus();
       return;
     }
+    for (const def of state.metricDefs) {
+      const error = validateMetricValue(def, metricVals[def.key]);
+      if (error) {
+        await showDialog({ title: '入力を確認してください', message: error });
+        metricInput(def.key)?.focus();
+        return;
+      }
+    }
+    if (weightVal !== null && !(await confirmPlausibleWeight(dateISO, weightVal))) return;
   } else {
     if (calVal === null || calVal <= 0) {
-      alert('正しいカロリーを入力してください');
+      await showDialog({ title: 'カロリーを入力してください', message: '0 より大きいカロリーを入力してください。' });
+      UI.calorieInput?.focus();
+      return;
+    }
+    if (Object.values(macroVals).some(v => v !== null && v < 0)) {
+      await showDialog({ title: '入力を確認してください', message: 'PFC は 0 以上で入力してください。' });
       return;
     }
   }
 
   try {
+    // 体重は計量として保存し（同じ時刻の計量は上書き）、records.weight は db.js がその日の計量から決める
+    const weighInTime = UI.weighInTime?.value || null;
+    let weighIn = null;
+    if (state.mode === 'morning' && weightVal !== null) {
+      weighIn = await saveWeighIn({ date: dateISO, time: weighInTime, weight: weightVal });
+    }
+
     // merge: 片方の値を保存しても、もう片方は既存を残す
     const base = (await getRecord(dateISO)) || { date: dateISO, weight: null, total_calorie: null };
     const next = {
       ...base,
       date: dateISO,
-      weight: (state.mode === 'morning') ? weightVal : (base.weight ?? null),
+      weight: base.weight ?? null,
       total_calorie: (state.mode === 'night') ? calVal : (base.total_calorie ?? null),
+      ...(state.mode === 'morning' ? metricVals : macroVals),
     };
 
     await upsertRecord(next);
     await loadRecordForDate(dateISO);
-    
+    // 続けて打ち直したときに同じ計量を上書きできるよう、時刻は保存した計量のままにする
+    if (weighIn && UI.weighInTime) UI.weighInTime.value = weighInTime ?? '';
+
     // Show success toast
-    showToast('登録しました', 'success', 2000);
+    if (weighIn?.replaced) {
+      showToast('同じ時刻の計量を上書きしました', 'success', 2500);
+    } else if (weighIn && weighIn.count > 1) {
+      showToast(`この日 ${weighIn.count} 回目の計量として追加しました。間違えた計量は「この日の計量」から削除できます`, 'success', 5000);
+    } else {
+      showToast('登録しました', 'success', 2000);
+    }
   } catch (err) {
     console.error('Save failed:', err);
     showToast('登録に失敗しました', 'error', 2500);
   }
 }
 
+// 直近のトレンドから大きく離れた体重（7.53 と 75.3 の打ち間違いなど）は保存前に確認する
+async function confirmPlausibleWeight(dateISO, weight) {
+  const { outlierRule: rule, outlierThreshold: threshold } = state.prefs;
+  if (rule === 'off') return true;
+  const recent = await getRecordsInRange(shiftISODate(dateISO, -OUTLIER_REFERENCE_DAYS), shiftISODate(dateISO, -1));
+  const warning = checkWeight(weight, referenceWeight(recent, dateISO), { rule, threshold });
+  if (!warning) return true;
+
+  const unit = weightUnitLabel();
+  return showDialog({
+    title: '体重を確認してください',
+    message: `${formatWeight(weight)} ${unit} は直近のトレンド ${formatWeight(warning.reference)} ${unit} から`
+      + ` ${formatWeightChange(warning.deviation)} ${unit}（${formatSigned(warning.percent, 0)}%）離れています。\n`
+      + '入力ミスではありませんか？',
+    okLabel: 'このまま保存',
+    cancelLabel: '入力し直す',
+  });
+}
+
 function switchMode(mode) {
   state.mode = mode;
 
@@ -229,6 +899,7 @@ function switchMode(mode) {
 
   // show/hide groups
   UI.weightGroup?.classList.toggle('hidden', mode !== 'morning');
+  UI.extraMetricsGroup?.classList.toggle('hidden', mode !== 'morning');
   UI.calorieGroup?.classList.toggle('hidden', mode !== 'night');
 
   // title
@@ -237,39 +908,1261 @@ function switchMode(mode) {
   // button label
   if (UI.actionBtn) UI.actionBtn.textContent = (mode === 'morning') ? '体重を記録' : 'カロリーを記録';
 
+  syncCalorieInputState();
   setBodyMode(mode);
 }
 
 // -----------------------------
-// CSV export
+// Weigh-ins (morning mode)
 // -----------------------------
-async function exportCSV() {
-  const records = await getAllRecords();
-  const header = ['date', 'weight', 'total_calorie'];
-  const lines = [header.join(',')];
-
-  // date asc
-  records
-    .slice()
-    .sort((a, b) => String(a.date).localeCompare(String(b.date)))
-    .forEach(r => {
-      const row = [
-        r.date ?? '',
-        (r.weight ?? '') === null ? '' : (r.weight ?? ''),
-        (r.total_calorie ?? '') === null ? '' : (r.total_calorie ?? ''),
-      ];
-      lines.push(row.join(','));
+async function loadWeighIns(dateISO) {
+  weighInState.items = sortWeighIns(await getWeighInsForDate(dateISO));
+  renderWeighIns();
+}
+
+function renderWeighIns() {
+  const weight = safeNumber(state.currentRecord?.weight);
+  if (UI.weighInDaily) {
+    UI.weighInDaily.textContent = weight === null ? '-' : `${weighInRuleLabel(weighInState.rule)} ${formatWeight(weight)} ${weightUnitLabel()}`;
+  }
+
+  if (!UI.weighInList) return;
+  UI.weighInList.innerHTML = '';
+
+  // 複数計量に対応する前の日は records.weight だけがある
+  const items = weighInState.items.length > 0 || weight === null
+    ? weighInState.items
+    : [{ time: null, weight }];
+
+  items.forEach(item => {
+    const row = document.createElement('div');
+    row.className = 'meal-item weigh-in-item';
+
+    const time = document.createElement('span');
+    time.className = 'meal-item-name';
+    time.textContent = item.time ?? '時刻なし';
+
+    const value = document.createElement('span');
+    value.className = 'meal-item-kcal';
+    value.textContent = `${formatWeight(item.weight)} ${weightUnitLabel()}`;
+
+    row.append(time, value);
+
+    if (item.id !== undefined) {
+      const del = document.createElement('button');
+      del.className = 'meal-item-delete';
+      del.textContent = '✕';
+      del.setAttribute('aria-label', `${item.time ?? '時刻なし'}の計量を削除`);
+      del.addEventListener('click', () => removeWeighIn(item));
+      row.appendChild(del);
+    }
+
+    UI.weighInList.appendChild(row);
+  });
+}
+
+async function removeWeighIn(item) {
+  const ok = await showDialog({
+    title: '計量を削除しますか？',
+    message: `${item.time ?? '時刻なし'}の計量（${formatWeight(item.weight)} ${weightUnitLabel()}）を削除します。`,
+    okLabel: '削除',
+    cancelLabel: 'キャンセル',
+  });
+  if (!ok) return;
+  try {
+    await deleteWeighIn(item.id);
+    await loadRecordForDate(item.date);
+    showToast('削除しました', 'success', 1500);
+  } catch (err) {
+    console.error('Weigh-in delete failed:', err);
+    showToast('計量の削除に失敗しました', 'error', 2500);
+  }
+}
+
+async function changeWeighInRule(rule) {
+  try {
+    await setWeighInRule(rule);
+    weighInState.rule = rule;
+    await loadRecordForDate(UI.dateInput?.value || state.currentDate);
+  } catch (err) {
+    console.error('Weigh-in rule save failed:', err);
+    showToast('設定の保存に失敗しました', 'error', 2500);
+    if (UI.weighInRule) UI.weighInRule.value = weighInState.rule;
+  }
+}
+
+// 起動時のモードと日付: 通知からの起動 > このタブで選んだモード > 時刻による自動選択
+async function resolveStartMode(launchMode, todayISO) {
+  const override = getModeOverride();
+  if (override && launchMode !== 'morning' && launchMode !== 'night') return { mode: override, date: todayISO };
+
+  const now = new Date();
+  const config = normalizeAutoMode(await getSetting(AUTO_MODE_SETTING_KEY));
+  if (launchMode === 'morning' || launchMode === 'night') {
+    return { mode: launchMode, date: logDateFor(launchMode, now, config) };
+  }
+  if (!config.enabled) return { mode: 'morning', date: todayISO };
+  const { mode } = autoModeFor(now, config);
+  return { mode, date: logDateFor(mode, now, config) };
+}
+
+// -----------------------------
+// Meal log (night mode)
+// -----------------------------
+
+function macroInput(key) {
+  return { protein: UI.proteinInput, fat: UI.fatInput, carbs: UI.carbsInput }[key] || null;
+}
+
+// 食事の記録がある日は total_calorie / PFC を直接編集させない
+function syncCalorieInputState() {
+  const derived = mealState.items.length > 0;
+  if (UI.calorieInput) UI.calorieInput.readOnly = derived;
+  MACROS.forEach(m => {
+    const input = macroInput(m.key);
+    if (input) input.readOnly = derived;
+  });
+  UI.calorieDerivedNote?.classList.toggle('hidden', !derived);
+  if (UI.actionBtn) UI.actionBtn.disabled = state.mode === 'night' && derived;
+}
+
+async function loadMeals(dateISO) {
+  mealState.items = await getMealsForDate(dateISO);
+  if (!mealState.items.some(item => item.id === mealState.editingId)) resetMealForm();
+  renderMeals();
+}
+
+function renderMeals() {
+  if (UI.mealTotal) UI.mealTotal.textContent = `合計 ${formatEnergy(sumKcal(mealState.items))} ${energyUnitLabel()}`;
+  syncCalorieInputState();
+
+  if (!UI.mealList) return;
+  UI.mealList.innerHTML = '';
+
+  groupMeals(mealState.items).forEach(group => {
+    const title = document.createElement('div');
+    title.className = 'meal-group-title';
+    const name = document.createElement('span');
+    name.textContent = group.type.label;
+    const kcal = document.createElement('span');
+    kcal.textContent = `${formatEnergy(group.kcal)} ${energyUnitLabel()}`;
+    title.append(name, kcal);
+    UI.mealList.appendChild(title);
+
+    group.items.forEach(item => {
+      const row = document.createElement('div');
+      row.className = 'meal-item';
+      row.classList.toggle('is-editing', item.id === mealState.editingId);
+      row.addEventListener('click', () => startEditMeal(item));
+
+      const itemName = document.createElement('span');
+      itemName.className = 'meal-item-name';
+      itemName.textContent = item.name || '(名称なし)';
+
+      const itemKcal = document.createElement('span');
+      itemKcal.className = 'meal-item-kcal';
+      itemKcal.textContent = `${formatEnergy(item.kcal)} ${energyUnitLabel()}`;
+
+      const del = document.createElement('button');
+      del.className = 'meal-item-delete';
+      del.textContent = '✕';
+      del.setAttribute('aria-label', `${item.name || '食事'}を削除`);
+      del.addEventListener('click', (e) => {
+        e.stopPropagation();
+        removeMeal(item);
+      });
+
+      row.append(itemName, itemKcal, del);
+      UI.mealList.appendChild(row);
     });
+  });
+}
 
-  const blob = new Blob([lines.join('\n')], { type: 'text/csv;charset=utf-8' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `weight_log_${toISODate(new Date())}.csv`;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
+function resetMealForm() {
+  mealState.editingId = null;
+  if (UI.mealType) UI.mealType.value = defaultMealType();
+  [UI.mealName, UI.mealKcal, UI.mealProtein, UI.mealFat, UI.mealCarbs].forEach(input => {
+    if (input) input.value = '';
+  });
+  if (UI.mealSaveBtn) UI.mealSaveBtn.textContent = '追加';
+  hide(UI.mealCancelBtn);
+}
+
+function startEditMeal(item) {
+  mealState.editingId = item.id;
+  if (UI.mealType) UI.mealType.value = item.meal;
+  if (UI.mealName) UI.mealName.value = item.name ?? '';
+  if (UI.mealKcal) UI.mealKcal.value = energyInputValue(item.kcal);
+  if (UI.mealProtein) UI.mealProtein.value = item.protein ?? '';
+  if (UI.mealFat) UI.mealFat.value = item.fat ?? '';
+  if (UI.mealCarbs) UI.mealCarbs.value = item.carbs ?? '';
+  if (UI.mealSaveBtn) UI.mealSaveBtn.textContent = '更新';
+  show(UI.mealCancelBtn);
+  renderMeals();
+}
+
+async function saveMeal() {
+  const dateISO = UI.dateInput?.value || state.currentDate;
+  if (!dateISO) return;
+
+  const macros = {
+    protein: safeNumber(UI.mealProtein?.value),
+    fat: safeNumber(UI.mealFat?.value),
+    carbs: safeNumber(UI.mealCarbs?.value),
+  };
+  if (Object.values(macros).some(v => v !== null && v < 0)) {
+    await showDialog({ title: '入力を確認してください', message: 'PFC は 0 以上で入力してください。' });
+    return;
+  }
+  const entered = parseEnergyInput(UI.mealKcal);
+  const kcal = entered ?? (hasMacros(macros) ? Math.round(kcalFromMacros(macros)) : null);
+  if (kcal === null || kcal < 0) {
+    await showDialog({ title: '入力を確認してください', message: '正しいカロリーを入力してください。' });
+    return;
+  }
+
+  const editing = mealState.items.find(item => item.id === mealState.editingId) || null;
+  const item = {
+    ...(editing || { created_at: Date.now() }),
+    date: dateISO,
+    meal: UI.mealType?.value || defaultMealType(),
+    name: (UI.mealName?.value || '').trim(),
+    kcal,
+    ...macros,
+  };
+
+  try {
+    await putMeal(item);
+    resetMealForm();
+    await loadRecordForDate(dateISO);
+    showToast(editing ? '更新しました' : '追加しました', 'success', 1500);
+  } catch (err) {
+    console.error('Meal save failed:', err);
+    showToast('食事の保存に失敗しました', 'error', 2500);
+  }
+}
+
+async function removeMeal(item) {
+  const ok = await showDialog({
+    title: '食事を削除しますか？',
+    message: `「${item.name || mealTypeLabel(item.meal)}」を削除します。`,
+    okLabel: '削除',
+    cancelLabel: 'キャンセル',
+  });
+  if (!ok) return;
+  try {
+    await deleteMeal(item.id);
+    if (mealState.editingId === item.id) resetMealForm();
+    await loadRecordForDate(item.date);
+    showToast('削除しました', 'success', 1500);
+  } catch (err) {
+    console.error('Meal delete failed:', err);
+    showToast('削除に失敗しました', 'error', 2500);
+  }
+}
+
+
+async function copyYesterdayMeals() {
+  const dateISO = UI.dateInput?.value || state.currentDate;
+  if (!dateISO) return;
+  const yesterday = shiftISODate(dateISO, -1);
+
+  if (mealState.items.length > 0) {
+    const ok = await showDialog({
+      title: '前日の食事をコピーしますか？',
+      message: `この日の食事に ${yesterday} の食事を追加します。`,
+      okLabel: 'コピー',
+      cancelLabel: 'キャンセル',
+    });
+    if (!ok) return;
+  }
+
+  try {
+    const count = await copyMeals(yesterday, dateISO);
+    if (count === 0) {
+      showToast(`${yesterday} の食事の記録はありません`, 'error', 2000);
+      return;
+    }
+    await loadRecordForDate(dateISO);
+    showToast(`${count}件をコピーしました`, 'success', 2000);
+  } catch (err) {
+    console.error('Copy meals failed:', err);
+    showToast('コピーに失敗しました', 'error', 2500);
+  }
+}
+
+// 入力中の食事をそのまま食品ライブラリに登録する
+async function saveMealFormAsFood() {
+  const name = (UI.mealName?.value || '').trim();
+  const kcal = parseEnergyInput(UI.mealKcal);
+  if (!name || kcal === null || kcal < 0) {
+    await showDialog({ title: '入力を確認してください', message: '品名とカロリーを入力してください。' });
+    return;
+  }
+
+  try {
+    await putFood({
+      name,
+      serving: '1食',
+      kcal,
+      protein: safeNumber(UI.mealProtein?.value),
+      fat: safeNumber(UI.mealFat?.value),
+      carbs: safeNumber(UI.mealCarbs?.value),
+      favorite: false,
+    });
+    showToast(`「${name}」を食品に登録しました`, 'success', 2000);
+  } catch (err) {
+    console.error('Food save failed:', err);
+    showToast('食品の登録に失敗しました', 'error', 2500);
+  }
+}
+
+// -----------------------------
+// Food library
+// -----------------------------
+async function openFoodLibrary() {
+  const dateISO = UI.dateInput?.value || state.currentDate;
+  if (UI.foodTargetDate) UI.foodTargetDate.textContent = `${dateISO} に追加`;
+  if (UI.foodMealType) UI.foodMealType.value = UI.mealType?.value || defaultMealType();
+  if (UI.foodServings) UI.foodServings.value = '1';
+  if (UI.foodSearch) UI.foodSearch.value = '';
+  resetFoodEditor();
+
+  hide(UI.mainView);
+  show(UI.foodView);
+  await reloadFoods();
+}
+
+async function closeFoodLibrary() {
+  hide(UI.foodView);
+  show(UI.mainView);
+  await loadRecordForDate(UI.dateInput?.value || state.currentDate);
+}
+
+async function reloadFoods() {
+  foodState.foods = await getAllFoods();
+  renderFoodList();
+}
+
+function setFoodFilter(filter) {
+  foodState.filter = filter;
+  UI.foodFilterTabs?.querySelectorAll('.tab-btn').forEach(btn => {
+    btn.classList.toggle('is-active', btn.dataset.filter === filter);
+  });
+  renderFoodList();
+}
+
+function formatFoodMeta(food) {
+  const parts = [food.serving || '1食', `${formatEnergy(food.kcal)} ${energyUnitLabel()}`];
+  const pfc = [['P', food.protein], ['F', food.fat], ['C', food.carbs]]
+    .filter(([, v]) => v !== null && v !== undefined)
+    .map(([k, v]) => `${k}${v}`);
+  if (pfc.length > 0) parts.push(pfc.join(' '));
+  return parts.join(' / ');
+}
+
+function renderFoodList() {
+  if (!UI.foodList) return;
+  UI.foodList.innerHTML = '';
+
+  const list = searchFoods(foodState.foods, UI.foodSearch?.value, foodState.filter);
+  if (list.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'food-empty';
+    empty.textContent = foodState.foods.length === 0 ? '食品が登録されていません' : '該当する食品がありません';
+    UI.foodList.appendChild(empty);
+    return;
+  }
+
+  list.forEach(food => {
+    const row = document.createElement('div');
+    row.className = 'food-item';
+    row.addEventListener('click', () => addFoodToMeals(food));
+
+    const star = document.createElement('button');
+    star.className = 'food-item-star';
+    star.classList.toggle('is-active', !!food.favorite);
+    star.textContent = food.favorite ? '★' : '☆';
+    star.setAttribute('aria-label', food.favorite ? 'お気に入りから外す' : 'お気に入りに追加');
+    star.addEventListener('click', (e) => {
+      e.stopPropagation();
+      toggleFoodFavorite(food);
+    });
+
+    const body = document.createElement('div');
+    body.className = 'food-item-body';
+    const name = document.createElement('div');
+    name.className = 'food-item-name';
+    name.textContent = food.name;
+    const meta = document.createElement('div');
+    meta.className = 'food-item-meta';
+    meta.textContent = formatFoodMeta(food);
+    body.append(name, meta);
+
+    const edit = document.createElement('button');
+    edit.className = 'food-item-edit';
+    edit.textContent = '✎';
+    edit.setAttribute('aria-label', `${food.name}を編集`);
+    edit.addEventListener('click', (e) => {
+      e.stopPropagation();
+      startEditFood(food);
+    });
+
+    row.append(star, body, edit);
+    UI.foodList.appendChild(row);
+  });
+}
+
+async function addFoodToMeals(food) {
+  const dateISO = UI.dateInput?.value || state.currentDate;
+  const servings = safeNumber(UI.foodServings?.value) ?? 1;
+  if (servings <= 0) {
+    await showDialog({ title: '入力を確認してください', message: '人前は 0 より大きい数を入力してください。' });
+    return;
+  }
+  const mealType = UI.foodMealType?.value || defaultMealType();
+
+  try {
+    await addMealFromFood(foodToMealItem(food, dateISO, mealType, servings), food.id);
+    await reloadFoods();
+    showToast(`「${food.name}」を追加しました`, 'success', 1500);
+  } catch (err) {
+    console.error('Add food failed:', err);
+    showToast('追加に失敗しました', 'error', 2500);
+  }
+}
+
+async function toggleFoodFavorite(food) {
+  try {
+    await putFood({ ...food, favorite: !food.favorite });
+    await reloadFoods();
+  } catch (err) {
+    console.error('Favorite failed:', err);
+    showToast('お気に入りの変更に失敗しました', 'error', 2500);
+  }
+}
+
+function resetFoodEditor() {
+  foodState.editingId = null;
+  [UI.foodName, UI.foodServing, UI.foodKcal, UI.foodProtein, UI.foodFat, UI.foodCarbs].forEach(input => {
+    if (input) input.value = '';
+  });
+  if (UI.foodEditorTitle) UI.foodEditorTitle.textContent = '食品を登録';
+  if (UI.foodSaveBtn) UI.foodSaveBtn.textContent = '登録';
+  hide(UI.foodDeleteBtn);
+  hide(UI.foodCancelBtn);
+}
+
+function startEditFood(food) {
+  foodState.editingId = food.id;
+  if (UI.foodName) UI.foodName.value = food.name ?? '';
+  if (UI.foodServing) UI.foodServing.value = food.serving ?? '';
+  if (UI.foodKcal) UI.foodKcal.value = energyInputValue(food.kcal);
+  if (UI.foodProtein) UI.foodProtein.value = food.protein ?? '';
+  if (UI.foodFat) UI.foodFat.value = food.fat ?? '';
+  if (UI.foodCarbs) UI.foodCarbs.value = food.carbs ?? '';
+  if (UI.foodEditorTitle) UI.foodEditorTitle.textContent = `「${food.name}」を編集`;
+  if (UI.foodSaveBtn) UI.foodSaveBtn.textContent = '更新';
+  show(UI.foodDeleteBtn);
+  show(UI.foodCancelBtn);
+  if (UI.foodEditor) UI.foodEditor.open = true;
+  UI.foodEditor?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+async function saveFood() {
+  const name = (UI.foodName?.value || '').trim();
+  const kcal = parseEnergyInput(UI.foodKcal);
+  if (!name) {
+    await showDialog({ title: '入力を確認してください', message: '食品名を入力してください。' });
+    return;
+  }
+  if (kcal === null || kcal < 0) {
+    await showDialog({ title: '入力を確認してください', message: '正しいカロリーを入力してください。' });
+    return;
+  }
+  const macros = {
+    protein: safeNumber(UI.foodProtein?.value),
+    fat: safeNumber(UI.foodFat?.value),
+    carbs: safeNumber(UI.foodCarbs?.value),
+  };
+  if (Object.values(macros).some(v => v !== null && v < 0)) {
+    await showDialog({ title: '入力を確認してください', message: 'PFC は 0 以上で入力してください。' });
+    return;
+  }
+
+  const editing = foodState.foods.find(f => f.id === foodState.editingId) || null;
+  try {
+    await putFood({
+      ...(editing || { favorite: false }),
+      name,
+      serving: (UI.foodServing?.value || '').trim(),
+      kcal,
+      ...macros,
+    });
+    resetFoodEditor();
+    await reloadFoods();
+    showToast(editing ? '更新しました' : '登録しました', 'success', 1500);
+  } catch (err) {
+    console.error('Food save failed:', err);
+    showToast('食品の保存に失敗しました', 'error', 2500);
+  }
+}
+
+async function removeFood() {
+  const food = foodState.foods.find(f => f.id === foodState.editingId);
+  if (!food) return;
+  const ok = await showDialog({
+    title: '食品を削除しますか？',
+    message: `「${food.name}」を食品ライブラリから削除します。`,
+    okLabel: '削除',
+    cancelLabel: 'キャンセル',
+  });
+  if (!ok) return;
+  try {
+    await deleteFood(food.id);
+    resetFoodEditor();
+    await reloadFoods();
+    showToast('削除しました', 'success', 1500);
+  } catch (err) {
+    console.error('Food delete failed:', err);
+    showToast('削除に失敗しました', 'error', 2500);
+  }
+}
+
+// -----------------------------
+// CSV export
+// -----------------------------
+async function exportCSV() {
+  const records = await getAllRecords();
+  const blob = new Blob([recordsToCSV(records, state.metricDefs, state.profile.units)], { type: 'text/csv;charset=utf-8' });
+  // 家族の分を書き出しても取り違えないよう、ファイル名にプロフィール名を入れる
+  downloadBlob(blob, `weight_log_${state.profile.name}_${toISODate(new Date())}.csv`);
+}
+
+// -----------------------------
+// CSV import
+// -----------------------------
+function getImportStrategy() {
+  const checked = document.querySelector('input[name="import-strategy"]:checked');
+  return checked ? checked.value : 'skip';
+}
+
+function isImportable(row) {
+  return row.errors.length === 0 && !row.superseded;
+}
+
+async function openImport(file) {
+  let text;
+  try {
+    text = await file.text();
+  } catch (err) {
+    console.error('Read failed:', err);
+    showToast('ファイルを読み込めませんでした', 'error', 2500);
+    return;
+  }
+
+  const rows = parseRecordsCSV(text, state.metricDefs);
+  if (rows.length === 0) {
+    showToast('取り込めるデータがありません', 'error', 2500);
+    return;
+  }
+
+  const all = await getAllRecords();
+  importState.rows = rows;
+  importState.existing = new Map(all.map(r => [r.date, r]));
+  importState.derived = await getDerivedDates();
+  importState.fileName = file.name;
+
+  hide(UI.mainView);
+  show(UI.importView);
+  renderImportPreview();
+}
+
+function closeImport() {
+  hide(UI.importView);
+  show(UI.mainView);
+  importState.rows = [];
+  importState.existing = new Map();
+  importState.derived = { meals: new Set(), weighins: new Set() };
+  importState.fileName = '';
+}
+
+// 食事・計量のある日は、合計カロリー・PFC・体重を CSV の値で上書きしない
+function importTarget(row) {
+  return withoutDerivedValues(row, {
+    meals: importState.derived.meals.has(row.date),
+    weighins: importState.derived.weighins.has(row.date),
+  });
+}
+
+function renderImportPreview() {
+  const strategy = getImportStrategy();
+
+  if (UI.importTableBody) UI.importTableBody.innerHTML = '';
+
+  let writeCount = 0;
+  let skipCount = 0;
+  let errorCount = 0;
+
+  importState.rows.forEach(row => {
+    const tr = document.createElement('tr');
+    let status;
+
+    if (row.errors.length > 0) {
+      errorCount++;
+      status = row.errors.join(' / ');
+      tr.classList.add('is-error');
+    } else if (row.superseded) {
+      skipCount++;
+      status = row.warnings.join(' / ');
+      tr.classList.add('is-skipped');
+    } else {
+      const existing = importState.existing.get(row.date) || null;
+      const { row: target, dropped } = importTarget(row);
+      const next = mergeImportedRecord(existing, target, strategy);
+      if (next) {
+        writeCount++;
+        status = existing ? '更新' : '新規';
+      } else {
+        skipCount++;
+        status = existing ? '既存のまま' : 'スキップ';
+        tr.classList.add('is-skipped');
+      }
+      const notes = [...row.warnings];
+      if (dropped.length > 0) {
+        notes.push(`${dropped.map(recordFieldLabel).join('・')} は食事・計量の記録を優先`);
+      }
+      if (notes.length > 0) status += ` (${notes.join(' / ')})`;
+    }
+
+    const others = state.metricDefs
+      .filter(def => row.values[def.key] !== null && row.values[def.key] !== undefined)
+      .map(def => `${formatMetricLabel(def, state.profile.units)} ${formatMetricValue(def, row.values[def.key])}`)
+      .join(' / ');
+
+    const cells = [
+      { text: String(row.line) },
+      { text: row.date ?? '-' },
+      { text: formatWeight(row.values.weight), num: true },
+      { text: formatEnergy(row.values.total_calorie), num: true },
+      { text: others || '-' },
+      { text: status },
+    ];
+    cells.forEach(c => {
+      const td = document.createElement('td');
+      td.textContent = c.text;
+      if (c.num) td.classList.add('num');
+      tr.appendChild(td);
+    });
+    UI.importTableBody?.appendChild(tr);
+  });
+
+  if (UI.importSummary) {
+    UI.importSummary.textContent =
+      `${importState.fileName}：${importState.rows.length}行 / 書き込み ${writeCount} / スキップ ${skipCount} / エラー ${errorCount}`;
+  }
+  if (UI.importApplyBtn) UI.importApplyBtn.disabled = writeCount === 0;
+}
+
+async function applyImport() {
+  const strategy = getImportStrategy();
+  const targets = importState.rows.filter(isImportable);
+
+  let written = 0;
+  try {
+    // 直前に別タブ等で変わっている可能性があるので書き込み直前に読み直す
+    importState.derived = await getDerivedDates();
+    for (const row of targets) {
+      const existing = await getRecord(row.date);
+      const next = mergeImportedRecord(existing, importTarget(row).row, strategy);
+      if (!next) continue;
+      await upsertRecord(next, 'import');
+      written++;
+    }
+  } catch (err) {
+    console.error('Import failed:', err);
+    showToast(`取り込みに失敗しました（${written}件は登録済み）`, 'error', 3000);
+    return;
+  }
+
+  closeImport();
+  await loadRecordForDate(UI.dateInput?.value || state.currentDate);
+  showToast(`${written}件を取り込みました`, 'success', 2500);
+}
+
+// -----------------------------
+// JSON backup / restore
+// -----------------------------
+function openBackup() {
+  hide(UI.mainView);
+  show(UI.backupView);
+  backupState.pending = null;
+  hide(UI.restorePreview);
+}
+
+function closeBackup() {
+  hide(UI.backupView);
+  show(UI.mainView);
+  backupState.pending = null;
+}
+
+async function saveBackup() {
+  try {
+    const backup = await createBackup();
+    downloadBlob(backupToBlob(backup), `weight_log_backup_${toISODate(new Date())}.json`);
+    showToast('バックアップを保存しました', 'success', 2000);
+  } catch (err) {
+    console.error('Backup failed:', err);
+    showToast('バックアップに失敗しました', 'error', 2500);
+  }
+}
+
+async function loadBackupFile(file) {
+  backupState.pending = null;
+  hide(UI.restorePreview);
+
+  try {
+    const backup = await parseBackup(await file.text());
+    backupState.pending = backup;
+
+    const counts = summarizeBackup(backup).map(s => `${s.name} ${s.count}件`).join(' / ');
+    const created = new Date(backup.created_at);
+    const createdLabel = Number.isNaN(created.getTime()) ? '-' : created.toLocaleString('ja-JP');
+    if (UI.restoreSummary) UI.restoreSummary.textContent = `${file.name}（作成 ${createdLabel}）：${counts}`;
+    show(UI.restorePreview);
+  } catch (err) {
+    console.error('Backup parse failed:', err);
+    const msg = err instanceof BackupError ? err.message : 'ファイルを読み込めませんでした';
+    showToast(msg, 'error', 3000);
+  }
+}
+
+async function applyRestore() {
+  const backup = backupState.pending;
+  if (!backup) return;
+
+  const checked = document.querySelector('input[name="restore-mode"]:checked');
+  const mode = checked ? checked.value : 'merge';
+  if (mode === 'replace') {
+    const ok = await showDialog({
+      title: 'バックアップで置き換えますか？',
+      message: '現在のデータをすべて削除して、バックアップの内容に置き換えます。',
+      okLabel: '置き換える',
+      cancelLabel: 'キャンセル',
+    });
+    if (!ok) return;
+  }
+
+  try {
+    const { written, skippedStores } = await restoreBackup(backup, mode);
+    if (skippedStores.length > 0) console.warn('Unknown stores skipped:', skippedStores);
+    closeBackup();
+    await loadActiveProfile();
+    await loadRecordForDate(UI.dateInput?.value || state.currentDate);
+    showToast(`${written}件を復元しました`, 'success', 2500);
+  } catch (err) {
+    console.error('Restore failed:', err);
+    showToast('復元に失敗しました', 'error', 2500);
+  }
+}
+
+// -----------------------------
+// Logging calendar / streaks
+// -----------------------------
+const WEEKDAY_LABELS = ['日', '月', '火', '水', '木', '金', '土'];
+
+async function openCalendar() {
+  hide(UI.mainView);
+  show(UI.calendarView);
+
+  const records = await getAllRecords();
+  calendarState.records = new Map(records.map(r => [r.date, r]));
+  const [y, m] = (UI.dateInput?.value || toISODate(new Date())).split('-').map(Number);
+  calendarState.year = y;
+  calendarState.month = m;
+
+  renderStreaks();
+  renderCalendar();
+}
+
+function closeCalendar() {
+  hide(UI.calendarView);
+  show(UI.mainView);
+}
+
+function shiftCalendarMonth(delta) {
+  const d = new Date(calendarState.year, calendarState.month - 1 + delta, 1);
+  calendarState.year = d.getFullYear();
+  calendarState.month = d.getMonth() + 1;
+  renderCalendar();
+}
+
+function renderStreaks() {
+  const { current, longest } = loggingStreaks(loggedDates([...calendarState.records.values()]), toISODate(new Date()));
+  if (UI.streakCurrent) UI.streakCurrent.textContent = `${current}日`;
+  if (UI.streakLongest) UI.streakLongest.textContent = `${longest}日`;
+}
+
+function renderCalendar() {
+  if (!UI.calendarGrid) return;
+  const { year, month } = calendarState;
+  const today = toISODate(new Date());
+  if (UI.calendarMonthLabel) UI.calendarMonthLabel.textContent = `${year}年${month}月`;
+
+  UI.calendarGrid.innerHTML = '';
+  WEEKDAY_LABELS.forEach(label => {
+    const cell = document.createElement('div');
+    cell.className = 'calendar-weekday';
+    cell.textContent = label;
+    UI.calendarGrid.appendChild(cell);
+  });
+
+  monthGrid(year, month).flat().forEach(dateISO => {
+    if (!dateISO) {
+      UI.calendarGrid.appendChild(document.createElement('div'));
+      return;
+    }
+    const status = dayStatus(calendarState.records.get(dateISO));
+    const cell = document.createElement('button');
+    cell.className = `calendar-day ${status}`;
+    cell.classList.toggle('is-today', dateISO === today);
+    cell.textContent = String(Number(dateISO.slice(8)));
+    cell.title = dateISO;
+    if (dateISO > today) {
+      cell.classList.add('is-future');
+      cell.disabled = true;
+    } else {
+      cell.addEventListener('click', () => jumpToDate(dateISO));
+    }
+    UI.calendarGrid.appendChild(cell);
+  });
+}
+
+async function jumpToDate(dateISO) {
+  closeCalendar();
+  await loadRecordForDate(dateISO);
+}
+
+async function fillMissedDay() {
+  const dateISO = nearestUnloggedDate(loggedDates([...calendarState.records.values()]), toISODate(new Date()));
+  if (!dateISO) {
+    showToast('未記録の日はありません', 'success', 2000);
+    return;
+  }
+  await jumpToDate(dateISO);
+  showToast(`${dateISO} を開きました`, 'success', 2000);
+}
+
+// -----------------------------
+// Settings
+// -----------------------------
+function fillSelect(select, options) {
+  if (!select || select.options.length > 0) return;
+  options.forEach(({ value, label }) => {
+    const opt = document.createElement('option');
+    opt.value = String(value);
+    opt.textContent = label;
+    select.appendChild(opt);
+  });
+}
+
+// 閾値の選択肢は判定方法 (割合 / 重さ) ごとに違う
+function fillOutlierThresholds(ruleKey, value) {
+  const rule = outlierRule(ruleKey);
+  if (!UI.prefOutlierThreshold) return;
+  UI.prefOutlierThreshold.innerHTML = '';
+  fillSelect(UI.prefOutlierThreshold, rule.thresholds.map(t => ({
+    value: t,
+    label: rule.key === 'kg' ? `${formatWeight(t)} ${weightUnitLabel()}` : `${t}%`,
+  })));
+  UI.prefOutlierThreshold.disabled = rule.thresholds.length === 0;
+  UI.prefOutlierThreshold.value = String(rule.thresholds.includes(value) ? value : rule.defaultThreshold);
+}
+
+async function openSettings() {
+  hide(UI.mainView);
+  show(UI.settingsView);
+
+  const rangeOptions = RANGE_CHOICES.map(days => ({ value: days, label: `${days}日` }));
+  fillSelect(UI.prefReportRange, rangeOptions);
+  fillSelect(UI.prefGraphRange, rangeOptions);
+  fillSelect(UI.prefWeightDigits, WEIGHT_DIGIT_CHOICES.map(d => ({ value: d, label: d === 0 ? '整数' : `小数${d}桁` })));
+  fillSelect(UI.prefTheme, THEMES.map(t => ({ value: t.key, label: t.label })));
+  fillSelect(UI.prefBmiStandard, BMI_STANDARDS.map(s => ({ value: s.key, label: s.label })));
+  fillSelect(UI.prefOutlierRule, OUTLIER_RULES.map(r => ({ value: r.key, label: r.label })));
+  const prefs = state.prefs;
+  if (UI.prefReportRange) UI.prefReportRange.value = String(prefs.reportRangeDays);
+  if (UI.prefGraphRange) UI.prefGraphRange.value = String(prefs.graphRangeDays);
+  if (UI.prefWeightDigits) UI.prefWeightDigits.value = String(prefs.weightDigits);
+  if (UI.prefTheme) UI.prefTheme.value = prefs.theme;
+  if (UI.prefBmiStandard) UI.prefBmiStandard.value = prefs.bmiStandard;
+  if (UI.prefOutlierRule) UI.prefOutlierRule.value = prefs.outlierRule;
+  fillOutlierThresholds(prefs.outlierRule, prefs.outlierThreshold);
+
+  const hourOptions = Array.from({ length: 24 }, (_, h) => ({ value: h, label: `${h}時` }));
+  fillSelect(UI.autoModeMorningHour, hourOptions);
+  fillSelect(UI.autoModeNightHour, hourOptions);
+  const autoMode = normalizeAutoMode(await getSetting(AUTO_MODE_SETTING_KEY));
+  if (UI.autoModeEnabled) UI.autoModeEnabled.checked = autoMode.enabled;
+  if (UI.autoModeMorningHour) UI.autoModeMorningHour.value = String(autoMode.morningStartHour);
+  if (UI.autoModeNightHour) UI.autoModeNightHour.value = String(autoMode.nightStartHour);
+
+  await fillReminderInputs();
+}
+
+function closeSettings() {
+  hide(UI.settingsView);
+  show(UI.mainView);
+}
+
+async function saveSettings() {
+  const prefs = normalizePreferences({
+    reportRangeDays: Number(UI.prefReportRange?.value),
+    graphRangeDays: Number(UI.prefGraphRange?.value),
+    weightDigits: Number(UI.prefWeightDigits?.value),
+    theme: UI.prefTheme?.value,
+    bmiStandard: UI.prefBmiStandard?.value,
+    outlierRule: UI.prefOutlierRule?.value,
+    outlierThreshold: Number(UI.prefOutlierThreshold?.value),
+  });
+
+  const autoMode = {
+    enabled: Boolean(UI.autoModeEnabled?.checked),
+    morningStartHour: Number(UI.autoModeMorningHour?.value),
+    nightStartHour: Number(UI.autoModeNightHour?.value),
+  };
+  if (autoMode.morningStartHour >= autoMode.nightStartHour) {
+    await showDialog({ title: '入力を確認してください', message: '夜モードの開始は朝モードの開始より後の時刻にしてください。' });
+    return;
+  }
+
+  const reminders = await readReminderInputs();
+  if (!reminders || !(await ensureNotificationPermission(reminders))) return;
+
+  try {
+    await putSetting(PREFERENCES_SETTING_KEY, prefs);
+    await putSetting(AUTO_MODE_SETTING_KEY, autoMode);
+    await putSetting(REMINDERS_SETTING_KEY, reminders);
+    await registerReminderSync(Object.values(reminders).some(r => r.enabled));
+
+    state.prefs = prefs;
+    setBodyMode(state.mode);
+    applyUnitLabels();
+    closeSettings();
+    await loadRecordForDate(UI.dateInput?.value || state.currentDate);
+    showToast('設定を保存しました', 'success', 2000);
+  } catch (err) {
+    console.error('Settings save failed:', err);
+    showToast('設定の保存に失敗しました', 'error', 2500);
+  }
+}
+
+// -----------------------------
+// Profiles
+// -----------------------------
+const PROFILE_MANAGE_OPTION = 'manage';
+
+// 使用中のプロフィールを読み込み、単位・ヘッダーの切り替えに反映する
+async function loadActiveProfile() {
+  const { profile, profiles } = await getActiveProfile();
+  state.profile = profile;
+  profileState.profiles = profiles;
+  renderProfileSelect();
+  applyUnitLabels();
+}
+
+function renderProfileSelect() {
+  if (UI.profileSelect) UI.profileSelect.innerHTML = '';
+  fillSelect(UI.profileSelect, [
+    ...profileState.profiles.map(p => ({ value: p.id, label: p.name })),
+    { value: PROFILE_MANAGE_OPTION, label: 'プロフィールを管理…' },
+  ]);
+  if (UI.profileSelect) UI.profileSelect.value = String(state.profile.id);
+  document.querySelectorAll('[data-profile-name]').forEach(el => {
+    el.textContent = `（${state.profile.name}）`;
+  });
+}
+
+async function switchProfile(id) {
+  try {
+    await setActiveProfile(id);
+    await loadActiveProfile();
+    await loadRecordForDate(UI.dateInput?.value || state.currentDate);
+    showToast(`${state.profile.name}さんの記録に切り替えました`, 'success', 1500);
+  } catch (err) {
+    console.error('Profile switch failed:', err);
+    showToast('切り替えに失敗しました', 'error', 2500);
+  }
+}
+
+// 使用中のプロフィールの一部 (goal など) を書き換えて保存する
+async function updateActiveProfile(changes) {
+  const next = normalizeProfile({ ...state.profile, ...changes });
+  await putProfile(next);
+  state.profile = next;
+  profileState.profiles = profileState.profiles.map(p => (p.id === next.id ? next : p));
+}
+
+async function openProfiles() {
+  hide(UI.mainView);
+  show(UI.profileView);
+
+  fillSelect(UI.profileSex, SEXES.map(s => ({ value: s.key, label: s.label })));
+  fillSelect(UI.profileWeightUnit, WEIGHT_UNITS.map(u => ({ value: u.key, label: `${u.label}（${u.name}）` })));
+  fillSelect(UI.profileEnergyUnit, ENERGY_UNITS.map(u => ({ value: u.key, label: `${u.label}（${u.name}）` })));
+  profileState.profiles = await getProfiles();
+  editProfile(state.profile.id);
+}
+
+async function closeProfiles() {
+  hide(UI.profileView);
+  show(UI.mainView);
+  await loadActiveProfile();
+}
+
+function renderProfileList() {
+  if (!UI.profileList) return;
+  UI.profileList.innerHTML = '';
+
+  profileState.profiles.forEach(profile => {
+    const row = document.createElement('div');
+    row.className = 'history-item profile-item';
+    row.classList.toggle('is-editing', profile.id === profileState.editingId);
+    row.addEventListener('click', () => editProfile(profile.id));
+
+    const head = document.createElement('div');
+    head.className = 'history-item-head';
+    const name = document.createElement('span');
+    name.textContent = profile.name;
+    const meta = document.createElement('span');
+    meta.className = 'history-item-meta';
+    meta.textContent = profile.id === state.profile.id ? '使用中' : '';
+    head.append(name, meta);
+
+    row.appendChild(head);
+    UI.profileList.appendChild(row);
+  });
+}
+
+// id = null で新規
+function editProfile(id) {
+  const profile = profileState.profiles.find(p => p.id === id) || normalizeProfile(null);
+  profileState.editingId = id;
+
+  if (UI.profileFormTitle) UI.profileFormTitle.textContent = id === null ? '新しいプロフィール' : 'プロフィールの編集';
+  if (UI.profileName) UI.profileName.value = profile.name;
+  if (UI.profileHeight) UI.profileHeight.value = profile.height_cm ?? '';
+  if (UI.profileSex) UI.profileSex.value = profile.sex;
+  if (UI.profileBirthYear) UI.profileBirthYear.value = profile.birth_year ?? '';
+  if (UI.profileWeightUnit) UI.profileWeightUnit.value = profile.units.weight;
+  if (UI.profileEnergyUnit) UI.profileEnergyUnit.value = profile.units.energy;
+  setProfileCalorieTarget(profile.calorie_target, profile.units.energy);
+  if (UI.profileDeleteBtn) UI.profileDeleteBtn.disabled = id === null || profileState.profiles.length <= 1;
+
+  renderProfileList();
+}
+
+// 目標カロリーの欄は選んでいるカロリーの単位で表示する（保存は kcal）
+function setProfileCalorieTarget(kcal, energyKey) {
+  const v = toDisplayEnergy(kcal, energyKey);
+  if (UI.profileCalorieTarget) {
+    UI.profileCalorieTarget.value = v === null ? '' : String(Math.round(v));
+    UI.profileCalorieTarget.dataset.unit = energyKey;
+  }
+  if (UI.profileCalorieUnit) UI.profileCalorieUnit.textContent = energyUnit(energyKey).label;
+}
+
+function profileCalorieTargetKcal() {
+  const unit = UI.profileCalorieTarget?.dataset.unit || UI.profileEnergyUnit?.value;
+  return roundCanonicalEnergy(fromDisplayEnergy(safeNumber(UI.profileCalorieTarget?.value), unit));
+}
+
+async function saveProfile() {
+  const base = profileState.profiles.find(p => p.id === profileState.editingId) || {};
+  const profile = normalizeProfile({
+    ...base,
+    name: UI.profileName?.value,
+    height_cm: UI.profileHeight?.value,
+    sex: UI.profileSex?.value,
+    birth_year: UI.profileBirthYear?.value,
+    calorie_target: profileCalorieTargetKcal(),
+    units: { weight: UI.profileWeightUnit?.value, energy: UI.profileEnergyUnit?.value },
+  });
+  const error = validateProfile(profile, new Date().getFullYear());
+  if (error) {
+    await showDialog({ title: '入力を確認してください', message: error });
+    return;
+  }
+
+  try {
+    const id = await putProfile(profile);
+    profileState.profiles = await getProfiles();
+    // 追加したプロフィールはそのまま使い始める
+    if (profileState.editingId === null) await setActiveProfile(id);
+    await loadActiveProfile();
+    editProfile(id);
+    await loadRecordForDate(UI.dateInput?.value || state.currentDate);
+    showToast('プロフィールを保存しました', 'success', 1500);
+  } catch (err) {
+    console.error('Profile save failed:', err);
+    showToast('プロフィールの保存に失敗しました', 'error', 2500);
+  }
+}
+
+async function removeProfile() {
+  const profile = profileState.profiles.find(p => p.id === profileState.editingId);
+  if (!profile || profileState.profiles.length <= 1) return;
+  const ok = await showDialog({
+    title: `「${profile.name}」を削除しますか？`,
+    message: 'このプロフィールの記録・食事・計量もすべて削除され、元に戻せません。',
+    okLabel: '削除',
+    cancelLabel: 'キャンセル',
+  });
+  if (!ok) return;
+
+  try {
+    await deleteProfile(profile.id);
+    profileState.profiles = await getProfiles();
+    if (profile.id === state.profile.id) await setActiveProfile(profileState.profiles[0].id);
+    await loadActiveProfile();
+    editProfile(state.profile.id);
+    await loadRecordForDate(UI.dateInput?.value || state.currentDate);
+    showToast('プロフィールを削除しました', 'success', 1500);
+  } catch (err) {
+    console.error('Profile delete failed:', err);
+    showToast('プロフィールの削除に失敗しました', 'error', 2500);
+  }
+}
+
+// -----------------------------
+// Reminders
+// -----------------------------
+const REMINDER_CHECK_INTERVAL_MS = 60 * 1000;
+
+function reminderInputs(key) {
+  return key === 'morning'
+    ? { enabled: UI.reminderMorningEnabled, time: UI.reminderMorningTime }
+    : { enabled: UI.reminderNightEnabled, time: UI.reminderNightTime };
+}
+
+function notificationsSupported() {
+  return 'Notification' in window && 'serviceWorker' in navigator;
+}
+
+async function fillReminderInputs() {
+  const reminders = normalizeReminders(await getSetting(REMINDERS_SETTING_KEY));
+  REMINDER_KINDS.forEach(kind => {
+    const inputs = reminderInputs(kind.key);
+    if (inputs.enabled) inputs.enabled.checked = reminders[kind.key].enabled;
+    if (inputs.time) inputs.time.value = reminders[kind.key].time;
+  });
+  await renderReminderStatus();
+}
+
+async function renderReminderStatus() {
+  if (!UI.reminderStatus) return;
+  if (!notificationsSupported()) {
+    UI.reminderStatus.textContent = 'この端末・ブラウザは通知に対応していません';
+    return;
+  }
+  if (Notification.permission === 'denied') {
+    UI.reminderStatus.textContent = '通知がブロックされています。ブラウザの設定から許可してください';
+    return;
+  }
+  const registration = await navigator.serviceWorker.getRegistration();
+  UI.reminderStatus.textContent = registration?.periodicSync
+    ? 'ホーム画面に追加したアプリでは、閉じていても通知します（端末により遅れることがあります）'
+    : 'この端末ではアプリを開いている間（バックグラウンドのタブを含む）だけ通知します';
+}
+
+// 入力が不正ならダイアログで知らせて null
+async function readReminderInputs() {
+  const reminders = {};
+  for (const kind of REMINDER_KINDS) {
+    const inputs = reminderInputs(kind.key);
+    const enabled = Boolean(inputs.enabled?.checked);
+    const time = inputs.time?.value || '';
+    if (enabled && !time) {
+      await showDialog({ title: '入力を確認してください', message: `${kind.label}の通知時刻を入力してください。` });
+      return null;
+    }
+    reminders[kind.key] = { enabled, time };
+  }
+  return reminders;
+}
+
+// 通知を 1 つでも有効にするなら許可を求める。許可されなければ false
+async function ensureNotificationPermission(reminders) {
+  if (!Object.values(reminders).some(r => r.enabled)) return true;
+  if (!notificationsSupported()) {
+    await showDialog({ title: '通知を使えません', message: 'この端末・ブラウザは通知に対応していません。' });
+    return false;
+  }
+  if (Notification.permission !== 'granted' && (await Notification.requestPermission()) !== 'granted') {
+    await showDialog({ title: '通知が許可されませんでした', message: 'ブラウザの設定から通知を許可してください。' });
+    await renderReminderStatus();
+    return false;
+  }
+  return true;
+}
+
+// アプリを閉じている間の判定は service worker の periodicsync に任せる（対応ブラウザのみ）
+async function registerReminderSync(enabled) {
+  if (!('serviceWorker' in navigator)) return;
+  const registration = await navigator.serviceWorker.getRegistration();
+  if (!registration?.periodicSync) return;
+  try {
+    if (!enabled) {
+      await registration.periodicSync.unregister(REMINDER_SYNC_TAG);
+      return;
+    }
+    const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+    if (status.state === 'granted') {
+      await registration.periodicSync.register(REMINDER_SYNC_TAG, { minInterval: 60 * 60 * 1000 });
+    }
+  } catch (err) {
+    console.warn('Periodic sync unavailable:', err);
+  }
+}
+
+// 開いているアプリが画面に出ていない間はページ側でも判定して通知する
+async function checkReminders() {
+  if (!notificationsSupported() || Notification.permission !== 'granted') return;
+  if (document.visibilityState === 'visible') return;
+
+  const now = new Date();
+  const todayISO = toISODate(now);
+  const [reminders, autoMode, lastShown, registration] = await Promise.all([
+    getSetting(REMINDERS_SETTING_KEY).then(normalizeReminders),
+    getSetting(AUTO_MODE_SETTING_KEY),
+    getSetting(REMINDER_LAST_SHOWN_KEY),
+    navigator.serviceWorker.getRegistration(),
+  ]);
+  if (!registration) return;
+
+  const shown = { ...(lastShown || {}) };
+  let changed = false;
+  for (const kind of REMINDER_KINDS) {
+    // 深夜の夜の通知は、起動時と同じく前日の記録を見る
+    const record = await getRecord(logDateFor(kind.key, now, autoMode));
+    if (!isReminderDue(kind, reminders[kind.key], { now, todayISO, record, lastShown: shown })) continue;
+    const { title, options } = reminderNotification(kind);
+    await registration.showNotification(title, options);
+    shown[kind.key] = todayISO;
+    changed = true;
+  }
+  if (changed) await putSetting(REMINDER_LAST_SHOWN_KEY, shown);
+}
+
+// 通知から開いたとき: 開いている画面を閉じて、そのモードで記録する日 (logDateFor) を出す
+async function openInMode(mode) {
+  if (mode !== 'morning' && mode !== 'night') return;
+  [UI.reportView, UI.graphView, UI.goalView, UI.foodView, UI.importView, UI.backupView,
+    UI.calendarView, UI.settingsView, UI.profileView, UI.historyView].forEach(hide);
+  destroyGraphChart();
+  show(UI.mainView);
+  switchMode(mode);
+  await loadRecordForDate(logDateFor(mode, new Date(), await getSetting(AUTO_MODE_SETTING_KEY)));
 }
 
 // -----------------------------
@@ -279,11 +2172,11 @@ function openReport() {
   hide(UI.mainView);
   show(UI.reportView);
 
-  // default: last 30 days
+  // default: 設定の期間（既定 30 日）
   const end = new Date();
   end.setHours(0, 0, 0, 0);
   const start = new Date(end);
-  start.setDate(start.getDate() - 29);
+  start.setDate(start.getDate() - (state.prefs.reportRangeDays - 1));
 
   UI.reportStart && (UI.reportStart.value = toISODate(start));
   UI.reportEnd && (UI.reportEnd.value = toISODate(end));
@@ -309,30 +2202,47 @@ function applyQuickReport(days) {
 async function updateReport() {
   const range = clampDateRange(UI.reportStart?.value, UI.reportEnd?.value);
   if (!range) {
-    alert('開始日・終了日を正しく入力してください');
+    await showDialog({ title: '入力を確認してください', message: '開始日・終了日を正しく入力してください。' });
     return;
   }
   const { start, end } = range;
 
-  const all = await getAllRecords();
-  const filtered = all
-    .filter(r => {
-      const d = parseISODate(r.date);
-      if (!d) return false;
-      return d.getTime() >= start.getTime() && d.getTime() <= end.getTime();
-    })
-    .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  const { records: filtered, ema } = await getRecordsWithTrend(toISODate(start), toISODate(end));
+
+  // 期間内に値のある PFC・測定値だけ列を出す
+  const macroDefs = MACROS.map(m => ({ key: m.key, label: m.short, unit: 'g', digits: 0 }));
+  const extraDefs = [...macroDefs, ...state.metricDefs].filter(def => filtered.some(r => safeNumber(r[def.key]) !== null));
+  UI.reportTableHeadRow?.querySelectorAll('th[data-metric]').forEach(th => th.remove());
+  const showBmi = Boolean(state.profile.height_cm);
+  const bmiDef = { key: 'bmi', label: 'BMI' };
+  (showBmi ? [bmiDef, ...extraDefs] : extraDefs).forEach(def => {
+    const th = document.createElement('th');
+    th.dataset.metric = def.key;
+    th.style.textAlign = 'right';
+    th.style.padding = '10px';
+    th.style.borderBottom = '1px solid rgba(0,0,0,0.1)';
+    th.style.whiteSpace = 'nowrap';
+    const unit = metricUnitLabel(def, state.profile.units);
+    th.textContent = unit ? `${def.label}(${unit})` : def.label;
+    UI.reportTableHeadRow?.appendChild(th);
+  });
 
   // table
   if (UI.reportTableBody) UI.reportTableBody.innerHTML = '';
+  reportState.editingDate = null;
 
   let prevWeight = null;
-  filtered.forEach(r => {
+  filtered.forEach((r, i) => {
     const w = safeNumber(r.weight);
-    const diff = (w !== null && prevWeight !== null) ? (w - prevWeight) : null;
-    if (w !== null) prevWeight = w;
+    // 外れ値の日は表に出すが、前日差の基準にはしない
+    const outlier = isOutlier(r);
+    const diff = (!outlier && w !== null && prevWeight !== null) ? (w - prevWeight) : null;
+    if (w !== null && !outlier) prevWeight = w;
 
     const tr = document.createElement('tr');
+    tr.className = 'report-row';
+    tr.classList.toggle('is-outlier', outlier);
+    tr.addEventListener('click', () => toggleReportEditor(tr, r));
 
     const tdDate = document.createElement('td');
     tdDate.style.padding = '10px';
@@ -343,38 +2253,688 @@ async function updateReport() {
     tdW.style.padding = '10px';
     tdW.style.textAlign = 'right';
     tdW.style.borderBottom = '1px solid rgba(0,0,0,0.06)';
-    tdW.textContent = w === null ? '-' : w.toFixed(1);
+    tdW.textContent = outlier ? `${formatWeight(w)}※` : formatWeight(w);
+    if (outlier) tdW.title = '外れ値（平均・トレンドの計算から除外）';
+
+    const tdTrend = document.createElement('td');
+    tdTrend.style.padding = '10px';
+    tdTrend.style.textAlign = 'right';
+    tdTrend.style.borderBottom = '1px solid rgba(0,0,0,0.06)';
+    tdTrend.style.opacity = '0.7';
+    tdTrend.textContent = formatWeight(ema[i]);
 
     const tdDiff = document.createElement('td');
     tdDiff.style.padding = '10px';
     tdDiff.style.textAlign = 'right';
     tdDiff.style.borderBottom = '1px solid rgba(0,0,0,0.06)';
-    tdDiff.textContent = diff === null ? '-' : (diff > 0 ? `+${diff.toFixed(1)}` : diff.toFixed(1));
+    tdDiff.textContent = formatWeightChange(diff);
 
     tr.appendChild(tdDate);
     tr.appendChild(tdW);
+    tr.appendChild(tdTrend);
     tr.appendChild(tdDiff);
+
+    if (showBmi) {
+      const bmi = recordBmi(w);
+      const tdBmi = document.createElement('td');
+      tdBmi.style.padding = '10px';
+      tdBmi.style.textAlign = 'right';
+      tdBmi.style.borderBottom = '1px solid rgba(0,0,0,0.06)';
+      tdBmi.textContent = formatBmi(bmi);
+      tdBmi.title = bmiCategory(bmi, state.prefs.bmiStandard)?.label ?? '';
+      tr.appendChild(tdBmi);
+    }
+
+    extraDefs.forEach(def => {
+      const td = document.createElement('td');
+      td.style.padding = '10px';
+      td.style.textAlign = 'right';
+      td.style.borderBottom = '1px solid rgba(0,0,0,0.06)';
+      td.textContent = formatMetricValue(def, r[def.key]);
+      tr.appendChild(td);
+    });
+
     UI.reportTableBody?.appendChild(tr);
   });
 
+  const grouped = reportState.grouping !== 'day';
+  UI.reportTable?.classList.toggle('hidden', grouped);
+  UI.reportGroupTable?.classList.toggle('hidden', !grouped);
+  if (grouped) renderGroupedReport(groupRecords(filtered, reportState.grouping, toISODate(start), toISODate(end)));
+
   // summary
-  const weights = filtered.map(r => safeNumber(r.weight)).filter(v => v !== null);
-  const cals = filtered.map(r => safeNumber(r.total_calorie)).filter(v => v !== null);
-
-  if (UI.summaryWeight) {
-    if (weights.length === 0) UI.summaryWeight.textContent = '-';
-    else {
-      const avg = weights.reduce((a, b) => a + b, 0) / weights.length;
-      UI.summaryWeight.textContent = `平均 ${avg.toFixed(1)} / 件数 ${weights.length}`;
-    }
+  // 同じ日数の直前の期間と比べる
+  const statsOptions = { calorieTarget: state.profile.calorie_target };
+  const summary = summarizePeriod(periodSeries(filtered), statsOptions);
+  const prev = previousPeriod(toISODate(start), toISODate(end));
+  const previous = summarizePeriod(periodSeries(await getRecordsInRange(prev.start, prev.end)), statsOptions);
+  const diff = comparePeriods(summary, previous);
+
+  renderWeightSummary(summary.weight, diff, filtered.filter(isOutlier).length);
+  renderBmiSummary(filtered);
+  renderCalorieSummary(summary.calorie, diff);
+
+  renderPfcSummary(filtered);
+
+  const windowDays = Math.round((end.getTime() - start.getTime()) / 86400000) + 1;
+  renderTdeeSummary(filtered.map((r, i) => ({
+    date: r.date,
+    weight: isOutlier(r) ? null : safeNumber(r.weight),
+    calorie: safeNumber(r.total_calorie),
+    trend: ema[i],
+  })), windowDays);
+
+  await renderGoalSummary();
+}
+
+// 週ごと・月ごとの表（行の編集は日ごとの表で行う）
+function renderGroupedReport(buckets) {
+  if (!UI.reportGroupBody) return;
+  UI.reportGroupBody.innerHTML = '';
+
+  const cell = (text, align = 'right') => {
+    const td = document.createElement('td');
+    td.style.padding = '10px';
+    td.style.textAlign = align;
+    td.style.borderBottom = '1px solid rgba(0,0,0,0.06)';
+    td.style.whiteSpace = 'nowrap';
+    td.textContent = text;
+    return td;
+  };
+
+  buckets.forEach(bucket => {
+    const tr = document.createElement('tr');
+    tr.className = 'report-group-row';
+    tr.classList.toggle('is-partial', bucket.partial);
+    if (bucket.partial) tr.title = '表示期間で切れているため、期間内の日だけを集計しています';
+
+    const { weight, calorie } = bucket;
+    tr.append(
+      cell(bucketTitle(bucket, reportState.grouping), 'left'),
+      cell(`${bucket.loggedDays}/${bucket.days}日`),
+      cell(formatWeight(weight?.mean ?? null)),
+      cell(formatWeight(weight?.min.value ?? null)),
+      cell(formatWeight(weight?.end.value ?? null)),
+      cell(formatEnergy(calorie?.mean ?? null)),
+      cell(formatEnergy(calorie?.total ?? null)),
+    );
+    UI.reportGroupBody.appendChild(tr);
+  });
+}
+
+// stats.js の series（外れ値の日は体重なし）
+function periodSeries(records) {
+  return {
+    weights: weightSeries(records),
+    calories: records.map(r => ({ date: r.date, value: safeNumber(r.total_calorie) })),
+  };
+}
+
+function setSummaryLines(el, lines) {
+  if (!el) return;
+  el.innerHTML = '';
+  lines.filter(Boolean).forEach(text => {
+    const div = document.createElement('div');
+    div.className = 'summary-line';
+    div.textContent = text;
+    el.appendChild(div);
+  });
+}
+
+function renderWeightSummary(stats, diff, outlierCount) {
+  if (!stats) {
+    setSummaryLines(UI.summaryWeight, ['-']);
+    return;
+  }
+  const unit = weightUnitLabel();
+  const excluded = outlierCount > 0 ? `（外れ値 ${outlierCount} 件を除く）` : '';
+  const rate = stats.weeklyRate === null ? '-' : formatSigned(displayWeight(stats.weeklyRate), 2);
+  const sd = stats.stdDev === null ? '-' : displayWeight(stats.stdDev).toFixed(2);
+  setSummaryLines(UI.summaryWeight, [
+    `平均 ${formatWeight(stats.mean)} / 件数 ${stats.count}${excluded}`,
+    `最小 ${formatWeight(stats.min.value)}（${formatShortDate(stats.min.date)}） / 最大 ${formatWeight(stats.max.value)}（${formatShortDate(stats.max.date)}）`,
+    `変化 ${formatWeightChange(stats.change)}（${formatShortDate(stats.start.date)}→${formatShortDate(stats.end.date)}）`,
+    `ペース ${rate} ${unit}/週 / 標準偏差 ${sd}`,
+    diff.weightMean === null ? null : `前の期間より 平均 ${formatWeightChange(diff.weightMean)}`,
+  ]);
+}
+
+function renderCalorieSummary(stats, diff) {
+  if (!stats) {
+    setSummaryLines(UI.summaryCalorie, ['-']);
+    return;
+  }
+  const target = state.profile.calorie_target;
+  setSummaryLines(UI.summaryCalorie, [
+    `平均 ${formatEnergy(stats.mean)} / 件数 ${stats.count}`,
+    `合計 ${formatEnergy(stats.total)}`,
+    stats.overTargetDays === null ? null : `目標 ${formatEnergy(target)} 超え ${stats.overTargetDays}/${stats.count}日`,
+    diff.calorieMean === null ? null : `前の期間より 平均 ${formatSigned(displayEnergy(diff.calorieMean), 0)}/日`,
+  ]);
+}
+
+function renderBmiSummary(records) {
+  if (!UI.summaryBmi) return;
+  if (!state.profile.height_cm) {
+    UI.summaryBmi.textContent = 'プロフィールに身長を入れると表示します';
+    return;
+  }
+  const bmis = weightSeries(records).map(p => recordBmi(p.value)).filter(v => v !== null);
+  if (bmis.length === 0) {
+    UI.summaryBmi.textContent = '-';
+    return;
+  }
+  const latest = bmis[bmis.length - 1];
+  const avg = bmis.reduce((a, b) => a + b, 0) / bmis.length;
+  const category = bmiCategory(latest, state.prefs.bmiStandard);
+  UI.summaryBmi.textContent = `最新 ${formatBmi(latest)}（${category?.label ?? '-'}） / 平均 ${formatBmi(avg)}`;
+}
+
+// -----------------------------
+// Report row editing / deletion
+// -----------------------------
+function closeReportEditor() {
+  UI.reportTableBody?.querySelector('.report-editor-row')?.remove();
+  UI.reportTableBody?.querySelectorAll('.report-row.is-editing').forEach(row => row.classList.remove('is-editing'));
+  reportState.editingDate = null;
+}
+
+async function toggleReportEditor(tr, record) {
+  const same = reportState.editingDate === record.date;
+  closeReportEditor();
+  if (same) return;
+
+  reportState.editingDate = record.date;
+  const [weighIns, meals] = await Promise.all([getWeighInsForDate(record.date), getMealsForDate(record.date)]);
+  if (reportState.editingDate !== record.date) return;
+
+  const editorRow = document.createElement('tr');
+  editorRow.className = 'report-editor-row';
+  const td = document.createElement('td');
+  td.colSpan = tr.children.length;
+  td.appendChild(buildReportEditor(record, { weighIns, meals }));
+  editorRow.appendChild(td);
+
+  tr.classList.add('is-editing');
+  tr.after(editorRow);
+}
+
+// 計量・食事から計算している値はここでは編集させない（✕ で元データごと削除はできる）
+function buildReportEditor(record, { weighIns, meals }) {
+  const fields = [
+    { key: 'weight', label: recordFieldLabel('weight'), step: weightInputStep(), unit: 'weight', derived: weighIns.length > 0 ? '計量から計算' : null },
+    { key: 'total_calorie', label: recordFieldLabel('total_calorie'), step: '1', unit: 'energy', derived: meals.length > 0 ? '食事から計算' : null },
+    ...state.metricDefs
+      .filter(def => safeNumber(record[def.key]) !== null)
+      .map(def => ({
+        key: def.key,
+        label: formatMetricLabel(def, state.profile.units),
+        step: def.dimension === 'weight' ? weightInputStep() : String(10 ** -(def.digits ?? 1)),
+        unit: def.dimension,
+        def,
+      })),
+  ];
+
+  const editor = document.createElement('div');
+  editor.className = 'report-editor';
+  const inputs = {};
+
+  fields.forEach(field => {
+    const row = document.createElement('div');
+    row.className = 'report-editor-field';
+
+    const label = document.createElement('label');
+    label.textContent = field.derived ? `${field.label}（${field.derived}）` : field.label;
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.step = field.step;
+    input.inputMode = 'decimal';
+    if (field.unit === 'weight') input.value = weightInputValue(record[field.key]);
+    else if (field.unit === 'energy') input.value = energyInputValue(record[field.key]);
+    else input.value = record[field.key] ?? '';
+    input.readOnly = Boolean(field.derived);
+    inputs[field.key] = input;
+
+    const del = document.createElement('button');
+    del.className = 'meal-item-delete';
+    del.textContent = '✕';
+    del.setAttribute('aria-label', `${field.label}を削除`);
+    del.disabled = safeNumber(record[field.key]) === null;
+    del.addEventListener('click', () => removeRecordField(record.date, field));
+
+    row.append(label, input, del);
+    editor.appendChild(row);
+  });
+
+  // 外れ値にしても値は残す（平均・トレンドの計算から外すだけ）
+  if (safeNumber(record.weight) !== null) {
+    const outlierLabel = document.createElement('label');
+    outlierLabel.className = 'report-editor-outlier';
+    const outlierInput = document.createElement('input');
+    outlierInput.type = 'checkbox';
+    outlierInput.checked = isOutlier(record);
+    inputs.outlier = outlierInput;
+    outlierLabel.append(outlierInput, ' この日の体重を外れ値にする（平均・トレンドに使わない）');
+    editor.appendChild(outlierLabel);
   }
 
-  if (UI.summaryCalorie) {
-    if (cals.length === 0) UI.summaryCalorie.textContent = '-';
-    else {
-      const avg = cals.reduce((a, b) => a + b, 0) / cals.length;
-      UI.summaryCalorie.textContent = `平均 ${Math.round(avg)} / 件数 ${cals.length}`;
+  const actions = document.createElement('div');
+  actions.className = 'action-row-sub';
+
+  const saveBtn = document.createElement('button');
+  saveBtn.className = 'quick-btn';
+  saveBtn.textContent = '保存';
+  saveBtn.addEventListener('click', () => saveReportEdit(record.date, fields, inputs));
+
+  const historyBtn = document.createElement('button');
+  historyBtn.className = 'quick-btn';
+  historyBtn.textContent = '履歴';
+  historyBtn.addEventListener('click', () => openHistory(record.date));
+
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'quick-btn';
+  deleteBtn.textContent = 'この日を削除';
+  deleteBtn.addEventListener('click', () => removeRecordDay(record.date));
+
+  actions.append(saveBtn, historyBtn, deleteBtn);
+  editor.appendChild(actions);
+  return editor;
+}
+
+async function saveReportEdit(dateISO, fields, inputs) {
+  const values = {};
+  for (const field of fields) {
+    if (field.derived) continue;
+    const input = inputs[field.key];
+    let v = safeNumber(input.value);
+    if (field.unit === 'weight') v = parseWeightInput(input);
+    else if (field.unit === 'energy') v = parseEnergyInput(input);
+    if (v !== null && v <= 0 && (field.key === 'weight' || field.key === 'total_calorie')) {
+      await showDialog({ title: '入力を確認してください', message: `${field.label}は 0 より大きい値を入力してください。` });
+      input.focus();
+      return;
     }
+    const error = field.def ? validateMetricValue(field.def, v) : null;
+    if (error) {
+      await showDialog({ title: '入力を確認してください', message: error });
+      input.focus();
+      return;
+    }
+    values[field.key] = v;
+  }
+  if (inputs.outlier) values.outlier = inputs.outlier.checked ? true : null;
+
+  try {
+    const base = (await getRecord(dateISO)) || { date: dateISO, weight: null, total_calorie: null };
+    // 手で直した体重も入力時と同じく確認する（外れ値にする日は確認しない）
+    const weight = values.weight ?? null;
+    if (weight !== null && weight !== base.weight && !values.outlier
+      && !(await confirmPlausibleWeight(dateISO, weight))) return;
+    await upsertRecord({ ...base, ...values });
+    await afterRecordChanged(dateISO);
+    showToast('更新しました', 'success', 1500);
+  } catch (err) {
+    console.error('Record update failed:', err);
+    showToast('更新に失敗しました', 'error', 2500);
+  }
+}
+
+async function removeRecordField(dateISO, field) {
+  if (field.derived) {
+    const ok = await showDialog({
+      title: `${field.label}を削除しますか？`,
+      message: `${dateISO} の${field.label}を削除します。${field.derived.replace('から計算', '')}の記録も削除されます。`,
+      okLabel: '削除',
+      cancelLabel: 'キャンセル',
+    });
+    if (!ok) return;
+  }
+  try {
+    const snapshot = await deleteRecordField(dateISO, field.key);
+    await afterRecordChanged(dateISO);
+    showUndoToast(`${field.label}を削除しました`, snapshot);
+  } catch (err) {
+    console.error('Field delete failed:', err);
+    showToast('削除に失敗しました', 'error', 2500);
+  }
+}
+
+async function removeRecordDay(dateISO) {
+  try {
+    const snapshot = await deleteRecord(dateISO);
+    await afterRecordChanged(dateISO);
+    showUndoToast(`${dateISO} を削除しました`, snapshot);
+  } catch (err) {
+    console.error('Record delete failed:', err);
+    showToast('削除に失敗しました', 'error', 2500);
+  }
+}
+
+const UNDO_TOAST_MS = 5000;
+
+function showUndoToast(message, snapshot) {
+  showToast(message, 'success', UNDO_TOAST_MS, {
+    label: '元に戻す',
+    onClick: async () => {
+      try {
+        await restoreDay(snapshot);
+        await afterRecordChanged(snapshot.date);
+        showToast('元に戻しました', 'success', 1500);
+      } catch (err) {
+        console.error('Undo failed:', err);
+        showToast('元に戻せませんでした', 'error', 2500);
+      }
+    },
+  });
+}
+
+// 表を描き直し、メイン画面で同じ日付を開いていればそちらも読み直す
+async function afterRecordChanged(dateISO) {
+  if (!UI.reportView?.classList.contains('hidden')) await updateReport();
+  if ((UI.dateInput?.value || state.currentDate) === dateISO) await loadRecordForDate(dateISO);
+}
+
+// -----------------------------
+// Revision history (per date)
+// -----------------------------
+const REVISION_SOURCE_LABELS = { manual: '手入力', import: '取り込み', sync: '同期' };
+
+function recordFieldLabel(key) {
+  if (key === 'weight') return `体重 (${weightUnitLabel()})`;
+  if (key === 'total_calorie') return `カロリー (${energyUnitLabel()})`;
+  if (key === 'outlier') return '外れ値';
+  const macro = MACROS.find(m => m.key === key);
+  if (macro) return `${macro.label} (g)`;
+  const def = findMetricDef(state.metricDefs, key);
+  return def ? formatMetricLabel(def, state.profile.units) : key;
+}
+
+// 履歴は kg / kcal で残っているので、重さ（体重・筋肉量）とカロリーだけ表示単位に直す
+function formatRevisionValue(v, key) {
+  if (v === null || v === undefined) return '（なし）';
+  if (key === 'weight') return formatWeight(v);
+  if (key === 'total_calorie') return formatEnergy(v);
+  if (key === 'outlier') return v ? 'はい' : 'いいえ';
+  const def = findMetricDef(state.metricDefs, key);
+  if (def?.dimension === 'weight') return formatWeight(v);
+  return String(v);
+}
+
+async function openHistory(dateISO) {
+  historyState.date = dateISO;
+  if (UI.historyTitle) UI.historyTitle.textContent = `${dateISO} の変更履歴`;
+  show(UI.historyView);
+  await renderHistory();
+}
+
+async function closeHistory() {
+  hide(UI.historyView);
+  historyState.date = null;
+  await updateReport();
+}
+
+async function renderHistory() {
+  const dateISO = historyState.date;
+  if (!dateISO || !UI.historyList) return;
+  const [revisions, weighIns, meals] = await Promise.all([
+    getRevisionsForDate(dateISO), getWeighInsForDate(dateISO), getMealsForDate(dateISO),
+  ]);
+
+  // 計量・食事から計算している値は戻しても次の再計算で上書きされる
+  const derived = new Set([
+    ...(weighIns.length > 0 ? ['weight'] : []),
+    ...(meals.length > 0 ? ['total_calorie', ...MACROS.map(m => m.key)] : []),
+  ]);
+
+  UI.historyList.innerHTML = '';
+  if (revisions.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'field-note';
+    empty.textContent = '変更履歴はありません';
+    UI.historyList.appendChild(empty);
+    return;
+  }
+
+  revisions.forEach(rev => {
+    const row = document.createElement('div');
+    row.className = 'history-item';
+
+    const head = document.createElement('div');
+    head.className = 'history-item-head';
+    const field = document.createElement('span');
+    field.textContent = recordFieldLabel(rev.field);
+    const meta = document.createElement('span');
+    meta.className = 'history-item-meta';
+    meta.textContent = `${new Date(rev.at).toLocaleString('ja-JP')}・${REVISION_SOURCE_LABELS[rev.source] ?? rev.source}`;
+    head.append(field, meta);
+
+    const change = document.createElement('div');
+    change.textContent = `${formatRevisionValue(rev.before, rev.field)} → ${formatRevisionValue(rev.after, rev.field)}`;
+
+    const revert = document.createElement('button');
+    revert.className = 'quick-btn';
+    revert.textContent = `${formatRevisionValue(rev.before, rev.field)} に戻す`;
+    revert.disabled = derived.has(rev.field);
+    if (revert.disabled) revert.title = '計量・食事の記録から計算している値です';
+    revert.addEventListener('click', () => revertRevision(rev));
+
+    row.append(head, change, revert);
+    UI.historyList.appendChild(row);
+  });
+}
+
+async function revertRevision(rev) {
+  const ok = await showDialog({
+    title: '変更前の値に戻しますか？',
+    message: `${rev.date} の${recordFieldLabel(rev.field)}を ${formatRevisionValue(rev.before, rev.field)} に戻します。`,
+    okLabel: '戻す',
+    cancelLabel: 'キャンセル',
+  });
+  if (!ok) return;
+  try {
+    await revertRecordField(rev.date, rev.field, rev.before);
+    if ((UI.dateInput?.value || state.currentDate) === rev.date) await loadRecordForDate(rev.date);
+    await renderHistory();
+    showToast('元に戻しました', 'success', 1500);
+  } catch (err) {
+    console.error('Revert failed:', err);
+    showToast('元に戻せませんでした', 'error', 2500);
+  }
+}
+
+// 期間合計のグラム数からカロリー比率を出す（PFC を記録した日の平均グラムも併記）
+function renderPfcSummary(records) {
+  if (!UI.summaryPfc) return;
+  UI.summaryPfc.innerHTML = '';
+
+  const days = records.filter(r => hasMacros(r));
+  const totals = sumMacros(days);
+  const ratio = pfcRatio(totals);
+  if (!ratio) {
+    UI.summaryPfc.textContent = '-';
+    return;
+  }
+
+  const value = document.createElement('div');
+  value.textContent = MACROS.map(m => `${m.short} ${Math.round(ratio[m.key])}%`).join(' / ');
+
+  const detail = document.createElement('div');
+  detail.style.fontSize = '0.8rem';
+  detail.style.opacity = '0.7';
+  detail.textContent = `平均 ${MACROS.map(m => `${m.short} ${totals[m.key] === null ? '-' : Math.round(totals[m.key] / days.length)}g`).join(' ')}（${days.length}日）`;
+
+  UI.summaryPfc.append(value, detail);
+}
+
+const CONFIDENCE_LABELS = { high: '高', medium: '中', low: '低' };
+
+function renderTdeeSummary(days, windowDays) {
+  if (!UI.summaryTdee) return;
+  UI.summaryTdee.innerHTML = '';
+
+  const est = estimateTdee(days, windowDays);
+  if (!est) {
+    UI.summaryTdee.textContent = `-（体重とカロリーの記録が${MIN_TDEE_DAYS}日以上の期間で必要）`;
+    return;
+  }
+
+  const value = document.createElement('div');
+  value.textContent = `約 ${Math.round(displayEnergy(est.tdee) / 10) * 10} ${energyUnitLabel()}/日`;
+
+  const conf = document.createElement('div');
+  conf.className = `confidence ${est.confidence}`;
+  conf.textContent = `信頼度 ${CONFIDENCE_LABELS[est.confidence]}（両方記録 ${est.pairedDays}/${windowDays}日）`;
+
+  const detail = document.createElement('div');
+  detail.style.fontSize = '0.8rem';
+  detail.style.opacity = '0.7';
+  detail.textContent = `平均摂取 ${formatEnergy(est.avgIntake)} / トレンド ${formatWeightChange(est.trendChange)} ${weightUnitLabel()}`;
+
+  UI.summaryTdee.append(value, conf, detail);
+}
+
+// -----------------------------
+// Goal
+// -----------------------------
+
+// 目標の現在値・ペースは表示範囲ではなく「今日まで」のトレンドで見る
+async function getCurrentTrendSeries() {
+  const today = toISODate(new Date());
+  const { records, ema } = await getRecordsWithTrend(shiftISODate(today, -(PACE_WINDOW_DAYS - 1)), today);
+  return records.map((r, i) => ({ date: r.date, value: ema[i] }));
+}
+
+function formatSigned(v, digits = 1) {
+  return v > 0 ? `+${v.toFixed(digits)}` : v.toFixed(digits);
+}
+
+async function renderGoalSummary() {
+  if (!UI.summaryGoal) return;
+  const goal = state.profile.goal;
+  UI.summaryGoal.innerHTML = '';
+  if (UI.goalEditBtn) UI.goalEditBtn.textContent = goal ? '目標を変更' : '目標を設定';
+
+  const addLine = (text, className = '') => {
+    const div = document.createElement('div');
+    div.className = `goal-line ${className}`.trim();
+    div.textContent = text;
+    UI.summaryGoal.appendChild(div);
+  };
+
+  if (!goal) {
+    addLine('未設定');
+    return;
+  }
+
+  const today = toISODate(new Date());
+  const projection = projectGoal(goal, await getCurrentTrendSeries(), today);
+  const dateNote = goal.target_date ? `（${goal.target_date}まで）` : '';
+  addLine(`目標 ${formatWeight(goal.target_weight)} ${weightUnitLabel()}${dateNote}`);
+
+  if (!projection) {
+    addLine(`直近${PACE_WINDOW_DAYS}日の記録がありません`);
+    return;
+  }
+
+  const progress = goalProgress(goal, projection.current);
+  const losing = goal.target_weight <= goal.start_weight;
+  const changeLabel = losing ? '減量' : '増量';
+  const changed = losing ? -progress.change : progress.change;
+  addLine(`${changeLabel} ${formatWeight(changed)} ${weightUnitLabel()} / 達成 ${Math.round(progress.percent)}%`);
+
+  if (projection.reached) {
+    addLine('目標を達成しました');
+    return;
+  }
+
+  addLine(`あと ${formatWeight(Math.abs(progress.remaining))} ${weightUnitLabel()}`);
+  const pace = projection.slopePerWeek === null ? '-' : `${formatSigned(displayWeight(projection.slopePerWeek), 2)} ${weightUnitLabel()}/週`;
+  addLine(projection.projectedDate
+    ? `到達予測 ${projection.projectedDate}（ペース ${pace}）`
+    : `今のペースでは到達しません（ペース ${pace}）`);
+
+  if (projection.onTrack === false) {
+    const need = projection.requiredPerWeek === null ? '' : `（必要ペース ${formatSigned(displayWeight(projection.requiredPerWeek), 2)} ${weightUnitLabel()}/週）`;
+    addLine(`目標日に間に合わないペースです${need}`, 'goal-warning');
+  }
+}
+
+async function openGoal() {
+  const goal = state.profile.goal;
+  const today = toISODate(new Date());
+  let startWeight = goal?.start_weight ?? null;
+  if (startWeight === null) {
+    const series = await getCurrentTrendSeries();
+    const latest = series.filter(p => p.value !== null).pop();
+    startWeight = latest ? Math.round(latest.value * 10) / 10 : null;
+  }
+
+  if (UI.goalTargetWeight) UI.goalTargetWeight.value = goal ? weightInputValue(goal.target_weight) : '';
+  if (UI.goalTargetDate) UI.goalTargetDate.value = goal?.target_date ?? '';
+  if (UI.goalStartWeight) UI.goalStartWeight.value = weightInputValue(startWeight);
+  if (UI.goalStartDate) UI.goalStartDate.value = goal?.start_date ?? today;
+  UI.goalClearBtn?.classList.toggle('hidden', !goal);
+
+  show(UI.goalView);
+}
+
+async function closeGoal() {
+  hide(UI.goalView);
+  await updateReport();
+}
+
+async function saveGoal() {
+  const target = parseWeightInput(UI.goalTargetWeight);
+  const startWeight = parseWeightInput(UI.goalStartWeight);
+  const targetDate = UI.goalTargetDate?.value || null;
+  const startDate = UI.goalStartDate?.value || toISODate(new Date());
+
+  if (target === null || target <= 0) {
+    await showDialog({ title: '入力を確認してください', message: '正しい目標体重を入力してください。' });
+    return;
+  }
+  if (startWeight === null || startWeight <= 0) {
+    await showDialog({ title: '入力を確認してください', message: '正しい開始体重を入力してください。' });
+    return;
+  }
+  if (targetDate && targetDate <= startDate) {
+    await showDialog({ title: '入力を確認してください', message: '目標日は開始日より後の日付にしてください。' });
+    return;
+  }
+
+  try {
+    await updateActiveProfile({
+      goal: {
+        target_weight: target,
+        target_date: targetDate,
+        start_weight: startWeight,
+        start_date: startDate,
+      },
+    });
+    showToast('目標を保存しました', 'success', 2000);
+    await closeGoal();
+  } catch (err) {
+    console.error('Goal save failed:', err);
+    showToast('目標の保存に失敗しました', 'error', 2500);
+  }
+}
+
+async function clearGoal() {
+  const ok = await showDialog({
+    title: '目標を削除しますか？',
+    message: '目標体重と目標日を削除します。記録は残ります。',
+    okLabel: '削除',
+    cancelLabel: 'キャンセル',
+  });
+  if (!ok) return;
+  try {
+    await updateActiveProfile({ goal: null });
+    showToast('目標を削除しました', 'success', 2000);
+    await closeGoal();
+  } catch (err) {
+    console.error('Goal clear failed:', err);
+    showToast('目標の削除に失敗しました', 'error', 2500);
   }
 }
 
@@ -384,30 +2944,65 @@ async function updateReport() {
 function setGraphTab(metric) {
   graphState.metric = metric;
 
-  UI.metricWeightBtn?.classList.toggle('is-active', metric === 'weight');
-  UI.metricCalorieBtn?.classList.toggle('is-active', metric === 'calorie');
+  UI.metricTabs?.querySelectorAll('.tab-btn').forEach(btn => {
+    btn.classList.toggle('is-active', btn.dataset.metric === metric);
+  });
+
+  // 平滑線は体重を表示するときのみ
+  UI.trendToggles?.classList.toggle('hidden', metric !== 'weight' && metric !== 'both');
+}
+
+// 測定値ごとのタブ (体重・カロリー・両方は index.html に固定)
+function renderMetricTabs() {
+  if (!UI.metricTabs) return;
+  UI.metricTabs.querySelectorAll('.tab-btn[data-extra]').forEach(btn => btn.remove());
+  state.metricDefs.forEach(def => {
+    const btn = document.createElement('button');
+    btn.className = 'tab-btn';
+    btn.dataset.metric = def.key;
+    btn.dataset.extra = 'true';
+    btn.textContent = def.label;
+    UI.metricTabs.appendChild(btn);
+  });
+}
+
+function syncTrendToggles() {
+  UI.trendSmaBtn?.classList.toggle('is-active', graphState.showSma);
+  UI.trendSmaBtn?.setAttribute('aria-pressed', String(graphState.showSma));
+  UI.trendEmaBtn?.classList.toggle('is-active', graphState.showEma);
+  UI.trendEmaBtn?.setAttribute('aria-pressed', String(graphState.showEma));
+  UI.bmiBandsBtn?.classList.toggle('is-active', graphState.showBmiBands);
+  UI.bmiBandsBtn?.setAttribute('aria-pressed', String(graphState.showBmiBands));
+  UI.bmiBandsBtn?.classList.toggle('hidden', !state.profile.height_cm);
+  // 平滑線は日ごとの表示だけ
+  const daily = graphState.grouping === 'day';
+  UI.trendSmaBtn?.classList.toggle('hidden', !daily);
+  UI.trendEmaBtn?.classList.toggle('hidden', !daily);
 }
 
 function openGraph() {
   hide(UI.mainView);
   show(UI.graphView);
 
-  // default: last 7 days
+  // default: 設定の期間（既定 7 日）
   const end = new Date();
   end.setHours(0, 0, 0, 0);
   const start = new Date(end);
-  start.setDate(start.getDate() - 6);
+  start.setDate(start.getDate() - (state.prefs.graphRangeDays - 1));
 
   UI.graphStartDate && (UI.graphStartDate.value = toISODate(start));
   UI.graphEndDate && (UI.graphEndDate.value = toISODate(end));
 
+  renderMetricTabs();
   setGraphTab('weight');
+  setGroupingTabs(UI.graphGrouping, graphState.grouping);
+  syncTrendToggles();
   updateGraph();
 
   // quick button active styling
   const quickBtns = Array.from(document.querySelectorAll('#graph-view .quick-btn'));
   quickBtns.forEach(b => b.classList.remove('active'));
-  const active = quickBtns.find(b => String(b.dataset.range) === '7');
+  const active = quickBtns.find(b => String(b.dataset.range) === String(state.prefs.graphRangeDays));
   active?.classList.add('active');
 }
 
@@ -438,30 +3033,77 @@ function applyQuickRangeDays(days) {
 async function updateGraph() {
   const range = clampDateRange(UI.graphStartDate?.value, UI.graphEndDate?.value);
   if (!range) {
-    alert('開始日・終了日を正しく入力してください');
+    await showDialog({ title: '入力を確認してください', message: '開始日・終了日を正しく入力してください。' });
     return;
   }
   const { start, end } = range;
 
-  const all = await getAllRecords();
-  const records = all
-    .filter(r => {
-      const d = parseISODate(r.date);
-      if (!d) return false;
-      return d.getTime() >= start.getTime() && d.getTime() <= end.getTime();
-    })
-    .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  const { records, sma, ema } = await getRecordsWithTrend(toISODate(start), toISODate(end));
+  graphState.goal = state.profile.goal;
+  const buckets = graphState.grouping === 'day'
+    ? null
+    : groupRecords(records, graphState.grouping, toISODate(start), toISODate(end));
 
-  renderGraph(records);
+  renderGraph(records, { sma, ema }, buckets);
 }
 
-function renderGraph(records) {
+// 体重の軸 (y) の表示範囲にかかる区分だけを、線の後ろに帯として塗る
+function bmiBandsPlugin(bands) {
+  return {
+    id: 'bmiBands',
+    beforeDatasetsDraw(chart) {
+      const { ctx, chartArea, scales } = chart;
+      const y = scales.y;
+      ctx.save();
+      bands.forEach(band => {
+        const top = Math.max(chartArea.top, y.getPixelForValue(band.max ?? y.max));
+        const bottom = Math.min(chartArea.bottom, y.getPixelForValue(band.min ?? y.min));
+        if (bottom <= top) return;
+        ctx.fillStyle = band.color;
+        ctx.fillRect(chartArea.left, top, chartArea.right - chartArea.left, bottom - top);
+        if (bottom - top >= 14) {
+          ctx.fillStyle = 'rgba(128, 128, 128, 0.8)';
+          ctx.font = '11px sans-serif';
+          ctx.textBaseline = 'top';
+          ctx.fillText(band.label, chartArea.left + 4, top + 2);
+        }
+      });
+      ctx.restore();
+    },
+  };
+}
+
+// buckets (grouping.js) があれば 1 点 = 1 週・1 か月で描く。体重は平均・最小・期末、カロリーは 1 日平均
+function renderGraph(records, trend, buckets = null) {
   destroyGraphChart();
 
   // データが無い or 指標が全てnullなら empty を出す
-  const isWeight = graphState.metric === 'weight';
-  const values = records.map(r => safeNumber(isWeight ? r.weight : r.total_calorie));
-  const hasAny = values.some(v => v !== null);
+  const isBoth = graphState.metric === 'both';
+  const showWeight = graphState.metric === 'weight' || isBoth;
+  const showCalorie = graphState.metric === 'calorie' || isBoth;
+  const extraDef = findMetricDef(state.metricDefs, graphState.metric);
+  // グラフは表示単位に換算した値で描く
+  // 外れ値の日は線から外し、別の点として描く
+  // 週・月の平均は外れ値を除いて集計済みなので、外れ値の点は日ごとのときだけ描く
+  const weights = buckets
+    ? buckets.map(b => displayWeight(b.weight?.mean ?? null))
+    : weightSeries(records).map(p => displayWeight(p.value));
+  const outliers = buckets ? [] : records.map(r => (isOutlier(r) ? displayWeight(safeNumber(r.weight)) : null));
+  const calories = buckets
+    ? buckets.map(b => displayEnergy(b.calorie?.mean ?? null))
+    : records.map(r => displayEnergy(safeNumber(r.total_calorie)));
+  const fieldValues = (key) => (buckets
+    ? buckets.map(b => averageField(b.records, key))
+    : records.map(r => safeNumber(r[key])));
+  const extras = extraDef ? fieldValues(extraDef.key).map(v => displayMetric(extraDef, v)) : [];
+  const isPfc = graphState.metric === 'pfc';
+  const macroGrams = isPfc
+    ? MACROS.map(m => fieldValues(m.key).map(g => (g === null ? null : Math.round(g))))
+    : [];
+  const hasAny = (showWeight && [...weights, ...outliers].some(v => v !== null))
+    || (showCalorie && calories.some(v => v !== null))
+    || extras.some(v => v !== null)
+    || macroGrams.some(values => values.some(v => v !== null));
 
   if (!UI.graphCanvas) return;
 
@@ -477,21 +3119,184 @@ function renderGraph(records) {
   hide(UI.graphEmptyNote);
 
   // labels and data
-  const labels = records.map(r => {
-    const d = parseISODate(r.date) || new Date(r.date);
-    const mm = d.getMonth() + 1;
-    const dd = d.getDate();
-    return `${mm}/${dd}`;
-  });
-
-  const dataset = {
-    label: isWeight ? '体重 (kg)' : 'カロリー (kcal)',
-    data: values,
-    spanGaps: true,
-    tension: 0.25,
-    pointRadius: 3,
-    pointHoverRadius: 5,
+  const labels = buckets
+    ? buckets.map(b => bucketLabel(b, graphState.grouping))
+    : records.map(r => formatShortDate(r.date));
+
+  const datasets = [];
+
+  if (showWeight) {
+    datasets.push({
+      label: buckets ? `${recordFieldLabel('weight')}（平均）` : recordFieldLabel('weight'),
+      data: weights,
+      yAxisID: 'y',
+      borderColor: '#00bcd4',
+      backgroundColor: 'rgba(0, 188, 212, 0.2)',
+      // 表示範囲の端で切れた週・月は白抜きの点にする
+      ...(buckets ? { pointBackgroundColor: buckets.map(b => (b.partial ? '#fff' : 'rgba(0, 188, 212, 0.2)')) } : {}),
+      spanGaps: true,
+      tension: 0.25,
+      pointRadius: 3,
+      pointHoverRadius: 5,
+      order: 1,
+    });
+  }
+  if (showWeight && buckets) {
+    datasets.push({
+      label: '最小',
+      data: buckets.map(b => displayWeight(b.weight?.min.value ?? null)),
+      yAxisID: 'y',
+      borderColor: '#8bc34a',
+      backgroundColor: 'rgba(139, 195, 74, 0.2)',
+      borderDash: [4, 4],
+      borderWidth: 1.5,
+      spanGaps: true,
+      tension: 0.25,
+      pointRadius: 2,
+      order: 1,
+    }, {
+      label: '期末',
+      data: buckets.map(b => displayWeight(b.weight?.end.value ?? null)),
+      yAxisID: 'y',
+      borderColor: '#9c27b0',
+      backgroundColor: 'rgba(156, 39, 176, 0.2)',
+      borderDash: [2, 3],
+      borderWidth: 1.5,
+      spanGaps: true,
+      tension: 0.25,
+      pointRadius: 2,
+      order: 1,
+    });
+  }
+  if (showWeight && outliers.some(v => v !== null)) {
+    datasets.push({
+      label: '外れ値',
+      data: outliers,
+      yAxisID: 'y',
+      showLine: false,
+      borderColor: '#f44336',
+      backgroundColor: 'rgba(244, 67, 54, 0.6)',
+      pointStyle: 'crossRot',
+      pointRadius: 6,
+      pointHoverRadius: 7,
+      order: 1,
+    });
+  }
+  if (showWeight && graphState.showSma && !buckets) {
+    datasets.push({
+      label: '7日平均',
+      data: trend.sma.map(displayWeight),
+      yAxisID: 'y',
+      borderColor: '#ff9800',
+      backgroundColor: 'rgba(255, 152, 0, 0.2)',
+      borderDash: [6, 4],
+      borderWidth: 2,
+      spanGaps: true,
+      tension: 0.25,
+      pointRadius: 0,
+      order: 1,
+    });
+  }
+  if (showWeight && graphState.goal) {
+    datasets.push({
+      label: '目標',
+      data: labels.map(() => displayWeight(graphState.goal.target_weight)),
+      yAxisID: 'y',
+      borderColor: '#4caf50',
+      backgroundColor: 'rgba(76, 175, 80, 0.2)',
+      borderDash: [2, 4],
+      borderWidth: 2,
+      pointRadius: 0,
+      pointHoverRadius: 0,
+      order: 1,
+    });
+  }
+  if (showWeight && graphState.showEma && !buckets) {
+    datasets.push({
+      label: 'トレンド',
+      data: trend.ema.map(displayWeight),
+      yAxisID: 'y',
+      borderColor: '#e91e63',
+      backgroundColor: 'rgba(233, 30, 99, 0.2)',
+      borderWidth: 2,
+      spanGaps: true,
+      tension: 0.25,
+      pointRadius: 0,
+      order: 1,
+    });
+  }
+
+  if (showCalorie) {
+    const calorieLabel = buckets ? `${recordFieldLabel('total_calorie')}（1日平均）` : recordFieldLabel('total_calorie');
+    // 両方表示では右軸の棒グラフとして体重の線の後ろに描く
+    datasets.push(isBoth ? {
+      type: 'bar',
+      label: calorieLabel,
+      data: calories,
+      yAxisID: 'y1',
+      backgroundColor: 'rgba(92, 107, 192, 0.35)',
+      borderColor: 'rgba(92, 107, 192, 0.8)',
+      borderWidth: 1,
+      order: 2,
+    } : {
+      label: calorieLabel,
+      data: calories,
+      yAxisID: 'y',
+      borderColor: '#00bcd4',
+      backgroundColor: 'rgba(0, 188, 212, 0.2)',
+      spanGaps: true,
+      tension: 0.25,
+      pointRadius: 3,
+      pointHoverRadius: 5,
+    });
+  }
+
+  if (extraDef) {
+    datasets.push({
+      label: formatMetricLabel(extraDef, state.profile.units),
+      data: extras,
+      yAxisID: 'y',
+      borderColor: '#00bcd4',
+      backgroundColor: 'rgba(0, 188, 212, 0.2)',
+      spanGaps: true,
+      tension: 0.25,
+      pointRadius: 3,
+      pointHoverRadius: 5,
+    });
+  }
+
+  // PFC はその日のカロリーの内訳として積み上げ棒で描く（ツールチップはグラム数）
+  const PFC_COLORS = ['rgba(233, 30, 99, 0.6)', 'rgba(255, 193, 7, 0.6)', 'rgba(0, 188, 212, 0.6)'];
+  if (isPfc) {
+    MACROS.forEach((m, i) => {
+      datasets.push({
+        type: 'bar',
+        label: `${m.label} (${energyUnitLabel()})`,
+        data: macroGrams[i].map(g => (g === null ? null : displayEnergy(g * m.kcalPerGram))),
+        grams: macroGrams[i],
+        yAxisID: 'y',
+        stack: 'pfc',
+        backgroundColor: PFC_COLORS[i],
+      });
+    });
+  }
+
+  const scales = {
+    y: { beginAtZero: false },
   };
+  if (isPfc) {
+    scales.x = { stacked: true };
+    scales.y = { beginAtZero: true, stacked: true, title: { display: true, text: energyUnitLabel() } };
+  }
+  if (isBoth) {
+    scales.y = { beginAtZero: false, position: 'left', title: { display: true, text: weightUnitLabel() } };
+    scales.y1 = {
+      beginAtZero: true,
+      position: 'right',
+      title: { display: true, text: energyUnitLabel() },
+      grid: { drawOnChartArea: false },
+    };
+  }
 
   const ctx = UI.graphCanvas.getContext('2d');
   if (!ctx || typeof Chart === 'undefined') {
@@ -499,19 +3304,51 @@ function renderGraph(records) {
     return;
   }
 
+  // BMI の帯は体重の軸に描く（身長がないときは描かない）
+  const bmiBands = showWeight && graphState.showBmiBands && state.profile.height_cm
+    ? bmiStandard(state.prefs.bmiStandard).categories.map(c => ({
+      label: c.label,
+      color: c.color,
+      min: c.min === null ? null : displayWeight(weightForBmi(c.min, state.profile.height_cm)),
+      max: c.max === null ? null : displayWeight(weightForBmi(c.max, state.profile.height_cm)),
+    }))
+    : null;
+
   graphState.chart = new Chart(ctx, {
     type: 'line',
-    data: { labels, datasets: [dataset] },
+    plugins: bmiBands ? [bmiBandsPlugin(bmiBands)] : [],
+    data: { labels, datasets },
     options: {
       responsive: true,
       maintainAspectRatio: false,
+      // index モードで同じ日の体重・カロリーを 1 つのツールチップにまとめる
       interaction: { mode: 'index', intersect: false },
       plugins: {
         legend: { display: true },
+        tooltip: {
+          callbacks: {
+            // 週・月は期間と記録した日数・カロリーの合計も出す
+            title: (items) => (buckets && items.length ? bucketTitle(buckets[items[0].dataIndex], graphState.grouping) : undefined),
+            footer: (items) => {
+              if (!buckets || items.length === 0) return '';
+              const bucket = buckets[items[0].dataIndex];
+              const total = showCalorie && bucket.calorie ? ` / カロリー合計 ${formatEnergy(bucket.calorie.total)}` : '';
+              return `記録 ${bucket.loggedDays}/${bucket.days}日${total}`;
+            },
+            label: (item) => {
+              const v = item.parsed.y;
+              if (v === null || v === undefined) return `${item.dataset.label}: -`;
+              if (item.dataset.grams) {
+                return `${item.dataset.label}: ${Math.round(v)}（${item.dataset.grams[item.dataIndex]} g）`;
+              }
+              const isKcal = item.dataset.yAxisID === 'y1' || graphState.metric === 'calorie';
+              const digits = extraDef && extraDef.dimension !== 'weight' ? (extraDef.digits ?? 1) : displayWeightDigits();
+              return `${item.dataset.label}: ${isKcal ? Math.round(v) : v.toFixed(digits)}`;
+            },
+          },
+        },
       },
-      scales: {
-        y: { beginAtZero: false },
-      },
+      scales,
     },
   });
 }
@@ -520,11 +3357,52 @@ function renderGraph(records) {
 // Init
 // -----------------------------
 export async function init() {
+  // DB upgrade coordination with other tabs (register before the first await)
+  dbEvents.addEventListener('blocked', () => {
+    showToast('データの更新を待っています。他のタブで開いている体重ログを閉じてください', 'error', 6000);
+  });
+  dbEvents.addEventListener('versionchange', () => {
+    showToast('別のタブでアプリが更新されました。再読み込みしてください', 'error', 6000);
+  });
+
   // default date: today
   const today = toISODate(new Date());
   if (UI.dateInput && !UI.dateInput.value) UI.dateInput.value = today;
 
-  switchMode('morning');
+  [UI.mealType, UI.foodMealType].forEach(select => {
+    MEAL_TYPES.forEach(type => {
+      const opt = document.createElement('option');
+      opt.value = type.key;
+      opt.textContent = type.label;
+      select?.appendChild(opt);
+    });
+  });
+
+  WEIGH_IN_RULES.forEach(rule => {
+    const opt = document.createElement('option');
+    opt.value = rule.key;
+    opt.textContent = `代表値: ${rule.label}`;
+    UI.weighInRule?.appendChild(opt);
+  });
+  weighInState.rule = (await getSetting(WEIGH_IN_RULE_SETTING_KEY)) || DEFAULT_WEIGH_IN_RULE;
+  if (UI.weighInRule) UI.weighInRule.value = weighInState.rule;
+
+  state.prefs = normalizePreferences(await getSetting(PREFERENCES_SETTING_KEY));
+  await loadActiveProfile();
+
+  // 通知のアクションから ?mode=morning|night で起動される
+  const params = new URLSearchParams(location.search);
+  const launchMode = params.get('mode');
+  if (launchMode) {
+    params.delete('mode');
+    const query = params.toString();
+    history.replaceState(null, '', `${location.pathname}${query ? `?${query}` : ''}${location.hash}`);
+  }
+
+  const start = await resolveStartMode(launchMode, today);
+  if (UI.dateInput && start.date !== today) UI.dateInput.value = start.date;
+  switchMode(start.mode);
+  await loadMetricDefs();
   await loadRecordForDate(UI.dateInput?.value || today);
 
   // main listeners
@@ -534,17 +3412,47 @@ export async function init() {
   });
 
   UI.btnMorning?.addEventListener('click', async () => {
+    setModeOverride('morning');
     switchMode('morning');
     await loadRecordForDate(UI.dateInput?.value || today);
   });
 
   UI.btnNight?.addEventListener('click', async () => {
+    setModeOverride('night');
     switchMode('night');
     await loadRecordForDate(UI.dateInput?.value || today);
   });
 
   UI.actionBtn?.addEventListener('click', saveCurrent);
+  UI.weighInRule?.addEventListener('change', () => changeWeighInRule(UI.weighInRule.value));
+  UI.mealSaveBtn?.addEventListener('click', saveMeal);
+  UI.mealCancelBtn?.addEventListener('click', () => {
+    resetMealForm();
+    renderMeals();
+  });
+  UI.mealToFoodBtn?.addEventListener('click', saveMealFormAsFood);
+  UI.mealCopyYesterdayBtn?.addEventListener('click', copyYesterdayMeals);
+  UI.foodOpenBtn?.addEventListener('click', openFoodLibrary);
+
+  // food library listeners
+  UI.foodBackBtn?.addEventListener('click', closeFoodLibrary);
+  UI.foodSearch?.addEventListener('input', renderFoodList);
+  UI.foodFilterTabs?.addEventListener('click', (e) => {
+    const btn = e.target.closest('.tab-btn');
+    if (btn?.dataset.filter) setFoodFilter(btn.dataset.filter);
+  });
+  UI.foodSaveBtn?.addEventListener('click', saveFood);
+  UI.foodDeleteBtn?.addEventListener('click', removeFood);
+  UI.foodCancelBtn?.addEventListener('click', resetFoodEditor);
+  UI.addMetricBtn?.addEventListener('click', addCustomMetric);
   UI.exportBtn?.addEventListener('click', exportCSV);
+  UI.importBtn?.addEventListener('click', () => UI.importFileInput?.click());
+  UI.importFileInput?.addEventListener('change', async () => {
+    const file = UI.importFileInput.files?.[0];
+    // 同じファイルを続けて選べるようにリセット
+    UI.importFileInput.value = '';
+    if (file) await openImport(file);
+  });
 
   // Enter key handlers to dismiss mobile keyboard
   UI.weightInput?.addEventListener('keydown', (e) => {
@@ -571,6 +3479,75 @@ export async function init() {
   UI.reportQ1m?.addEventListener('click', () => applyQuickReport(30));
   UI.reportQ3m?.addEventListener('click', () => applyQuickReport(90));
   UI.reportQ1y?.addEventListener('click', () => applyQuickReport(365));
+  UI.reportGrouping?.addEventListener('click', (e) => {
+    const btn = e.target.closest('.toggle-btn[data-grouping]');
+    if (!btn) return;
+    reportState.grouping = btn.dataset.grouping;
+    setGroupingTabs(UI.reportGrouping, reportState.grouping);
+    updateReport();
+  });
+
+  // import listeners
+  UI.importApplyBtn?.addEventListener('click', applyImport);
+  UI.importBackBtn?.addEventListener('click', closeImport);
+  document.querySelectorAll('input[name="import-strategy"]').forEach(radio => {
+    radio.addEventListener('change', renderImportPreview);
+  });
+
+  // backup listeners
+  UI.backupBtn?.addEventListener('click', openBackup);
+  UI.calendarBtn?.addEventListener('click', openCalendar);
+  UI.settingsBtn?.addEventListener('click', openSettings);
+  UI.settingsBackBtn?.addEventListener('click', closeSettings);
+  UI.settingsSaveBtn?.addEventListener('click', saveSettings);
+  UI.prefOutlierRule?.addEventListener('change', () => fillOutlierThresholds(UI.prefOutlierRule.value, null));
+
+  // profile listeners
+  UI.profileSelect?.addEventListener('change', () => {
+    const value = UI.profileSelect.value;
+    if (value === PROFILE_MANAGE_OPTION) {
+      // 「管理」は選択状態に残さない
+      UI.profileSelect.value = String(state.profile.id);
+      openProfiles();
+      return;
+    }
+    switchProfile(Number(value));
+  });
+  UI.profileNewBtn?.addEventListener('click', () => editProfile(null));
+  UI.profileSaveBtn?.addEventListener('click', saveProfile);
+  UI.profileEnergyUnit?.addEventListener('change', () => {
+    setProfileCalorieTarget(profileCalorieTargetKcal(), UI.profileEnergyUnit.value);
+  });
+  UI.profileDeleteBtn?.addEventListener('click', removeProfile);
+  UI.profileBackBtn?.addEventListener('click', closeProfiles);
+
+  // 通知のクリック（アプリが既に開いているとき）は service worker からのメッセージで届く
+  navigator.serviceWorker?.addEventListener('message', (event) => {
+    if (event.data?.type === 'open-mode') openInMode(event.data.mode);
+  });
+  setInterval(() => {
+    checkReminders().catch(err => console.error('Reminder check failed:', err));
+  }, REMINDER_CHECK_INTERVAL_MS);
+  UI.calendarBackBtn?.addEventListener('click', closeCalendar);
+  UI.calendarPrevBtn?.addEventListener('click', () => shiftCalendarMonth(-1));
+  UI.calendarNextBtn?.addEventListener('click', () => shiftCalendarMonth(1));
+  UI.calendarFillBtn?.addEventListener('click', fillMissedDay);
+  UI.backupBackBtn?.addEventListener('click', closeBackup);
+  UI.backupSaveBtn?.addEventListener('click', saveBackup);
+  UI.backupRestorePickBtn?.addEventListener('click', () => UI.restoreFileInput?.click());
+  UI.restoreFileInput?.addEventListener('change', async () => {
+    const file = UI.restoreFileInput.files?.[0];
+    UI.restoreFileInput.value = '';
+    if (file) await loadBackupFile(file);
+  });
+  UI.restoreApplyBtn?.addEventListener('click', applyRestore);
+
+  // goal listeners
+  UI.goalEditBtn?.addEventListener('click', openGoal);
+  UI.goalSaveBtn?.addEventListener('click', saveGoal);
+  UI.goalClearBtn?.addEventListener('click', clearGoal);
+  UI.goalBackBtn?.addEventListener('click', closeGoal);
+  UI.historyBackBtn?.addEventListener('click', closeHistory);
 
   // graph listeners
   UI.graphBackBtn?.addEventListener('click', closeGraph);
@@ -585,13 +3562,38 @@ export async function init() {
     });
   });
 
-  UI.metricWeightBtn?.addEventListener('click', () => {
-    setGraphTab('weight');
+  // metric tabs (測定値のタブは後から追加されるので委譲で受ける)
+  UI.metricTabs?.addEventListener('click', (e) => {
+    const btn = e.target.closest('.tab-btn');
+    if (!btn || !btn.dataset.metric) return;
+    setGraphTab(btn.dataset.metric);
+    updateGraph();
+  });
+
+  UI.graphGrouping?.addEventListener('click', (e) => {
+    const btn = e.target.closest('.toggle-btn[data-grouping]');
+    if (!btn) return;
+    graphState.grouping = btn.dataset.grouping;
+    setGroupingTabs(UI.graphGrouping, graphState.grouping);
+    syncTrendToggles();
+    updateGraph();
+  });
+
+  UI.trendSmaBtn?.addEventListener('click', () => {
+    graphState.showSma = !graphState.showSma;
+    syncTrendToggles();
+    updateGraph();
+  });
+
+  UI.trendEmaBtn?.addEventListener('click', () => {
+    graphState.showEma = !graphState.showEma;
+    syncTrendToggles();
     updateGraph();
   });
 
-  UI.metricCalorieBtn?.addEventListener('click', () => {
-    setGraphTab('calorie');
+  UI.bmiBandsBtn?.addEventListener('click', () => {
+    graphState.showBmiBands = !graphState.showBmiBands;
+    syncTrendToggles();
     updateGraph();
   });
 }
@@ -0,0 +1,68 @@
+/**
+ * Unit conversion for 体重ログ
+ * - DB・バックアップには常に kg / kcal で保存し、入力時と表示時にだけ換算する
+ * - 差分（前日差・変化量）も同じ係数で換算できる（0 点のずれがない単位だけを扱う）
+ */
+
+// factor: 1 kg (1 kcal) あたりの値 / extraDigits: 表示桁数の設定 (kg 基準) に足す桁数
+export const WEIGHT_UNITS = [
+  { key: 'kg', label: 'kg', name: 'キログラム', factor: 1, extraDigits: 0 },
+  { key: 'lb', label: 'lb', name: 'ポンド', factor: 2.2046226218, extraDigits: 0 },
+  { key: 'st', label: 'st', name: 'ストーン', factor: 0.1574730444, extraDigits: 1 },
+];
+
+export const ENERGY_UNITS = [
+  { key: 'kcal', label: 'kcal', name: 'キロカロリー', factor: 1, digits: 0 },
+  { key: 'kj', label: 'kJ', name: 'キロジュール', factor: 4.184, digits: 0 },
+];
+
+export const CANONICAL_WEIGHT_UNIT = 'kg';
+export const CANONICAL_ENERGY_UNIT = 'kcal';
+
+export function weightUnit(key) {
+  return WEIGHT_UNITS.find(u => u.key === key) || WEIGHT_UNITS[0];
+}
+
+export function energyUnit(key) {
+  return ENERGY_UNITS.find(u => u.key === key) || ENERGY_UNITS[0];
+}
+
+function convert(value, factor) {
+  if (value === null || value === undefined) return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n * factor : null;
+}
+
+// kg -> 表示単位
+export function toDisplayWeight(kg, unitKey) {
+  return convert(kg, weightUnit(unitKey).factor);
+}
+
+// 表示単位 -> kg
+export function fromDisplayWeight(value, unitKey) {
+  return convert(value, 1 / weightUnit(unitKey).factor);
+}
+
+export function toDisplayEnergy(kcal, unitKey) {
+  return convert(kcal, energyUnit(unitKey).factor);
+}
+
+export function fromDisplayEnergy(value, unitKey) {
+  return convert(value, 1 / energyUnit(unitKey).factor);
+}
+
+export function weightDigits(unitKey, kgDigits = 1) {
+  return kgDigits + weightUnit(unitKey).extraDigits;
+}
+
+/**
+ * 入力欄から保存する値。表示桁で丸めて入力した値が換算で 75.30000001 のようにならないよう、
+ * kg / kcal 側でも丸める（kg は小数 3 桁、kcal は小数 1 桁）。
+ */
+export function roundCanonicalWeight(kg) {
+  return kg === null ? null : Math.round(kg * 1000) / 1000;
+}
+
+export function roundCanonicalEnergy(kcal) {
+  return kcal === null ? null : Math.round(kcal * 10) / 10;
+}
@@ -0,0 +1,51 @@
+/**
+ * Intraday weigh-ins for 体重ログ
+ * - 1 日に複数回の計量を weighins ストアに { id, date, time: 'HH:MM'|null, weight } で保存する
+ * - records.weight はその日の「代表値」で、settings 'weighInRule' の規則で計量から決める
+ * - time が null の計量は複数計量に対応する前の記録（時刻なし）
+ */
+import { roundCanonicalWeight } from './units.js';
+
+export const WEIGH_IN_RULE_SETTING_KEY = 'weighInRule';
+
+export const WEIGH_IN_RULES = [
+  { key: 'first', label: '最初の計量' },
+  { key: 'lowest', label: '最低値' },
+  { key: 'average', label: '平均' },
+];
+
+export const DEFAULT_WEIGH_IN_RULE = 'first';
+
+export function weighInRuleLabel(key) {
+  return (WEIGH_IN_RULES.find(r => r.key === key) || WEIGH_IN_RULES[0]).label;
+}
+
+// 時刻順（時刻なしは先頭）、同時刻は登録順
+export function sortWeighIns(items) {
+  return [...items].sort((a, b) => {
+    const ta = a.time ?? '';
+    const tb = b.time ?? '';
+    if (ta !== tb) return ta < tb ? -1 : 1;
+    return (a.created_at ?? 0) - (b.created_at ?? 0);
+  });
+}
+
+/**
+ * その日の代表値。計量が無ければ null。平均は保存時と同じ精度 (units.roundCanonicalWeight) に丸める。
+ */
+export function dailyWeight(items, rule = DEFAULT_WEIGH_IN_RULE) {
+  const weights = sortWeighIns(items)
+    .map(item => Number(item.weight))
+    .filter(Number.isFinite);
+  if (weights.length === 0) return null;
+
+  if (rule === 'lowest') return Math.min(...weights);
+  if (rule === 'average') {
+    return roundCanonicalWeight(weights.reduce((a, b) => a + b, 0) / weights.length);
+  }
+  return weights[0];
+}
+
+export function currentTimeHHMM(date = new Date()) {
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
@@ -0,0 +1,55 @@
+// Automatic morning / night mode (automode.js) and the reminder worker's copy of the day rule.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+import { DEFAULT_AUTO_MODE, normalizeAutoMode, autoModeFor, logDateFor } from '../src/automode.js';
+
+const at = (hour, minute = 0) => new Date(2024, 2, 1, hour, minute);
+const enabled = { enabled: true, morningStartHour: 4, nightStartHour: 17 };
+
+test('auto mode is opt-in', () => {
+  assert.equal(DEFAULT_AUTO_MODE.enabled, false);
+  assert.equal(normalizeAutoMode(undefined).enabled, false);
+  assert.deepEqual(normalizeAutoMode({ enabled: true, nightStartHour: 20 }), {
+    enabled: true, morningStartHour: 4, nightStartHour: 20,
+  });
+});
+
+test('autoModeFor splits the day at the configured hours', () => {
+  assert.deepEqual(autoModeFor(at(3, 59), enabled), { mode: 'night', previousDay: true });
+  assert.deepEqual(autoModeFor(at(4), enabled), { mode: 'morning', previousDay: false });
+  assert.deepEqual(autoModeFor(at(16, 59), enabled), { mode: 'morning', previousDay: false });
+  assert.deepEqual(autoModeFor(at(17), enabled), { mode: 'night', previousDay: false });
+  assert.deepEqual(autoModeFor(at(23, 59), enabled), { mode: 'night', previousDay: false });
+});
+
+test('logDateFor: night before the morning start logs to the previous day', () => {
+  // 2024-03-01 の前日はうるう日
+  assert.equal(logDateFor('night', at(1), enabled), '2024-02-29');
+  assert.equal(logDateFor('night', at(4), enabled), '2024-03-01');
+  assert.equal(logDateFor('night', at(22), enabled), '2024-03-01');
+  assert.equal(logDateFor('morning', at(1), enabled), '2024-03-01');
+  assert.equal(logDateFor('night', new Date(2024, 0, 1, 2), enabled), '2023-12-31');
+});
+
+test('logDateFor: with auto mode off every mode logs to today', () => {
+  assert.equal(logDateFor('night', at(1), { ...enabled, enabled: false }), '2024-03-01');
+  assert.equal(logDateFor('night', at(1), undefined), '2024-03-01');
+});
+
+test('the reminder worker resolves the same day as the app', () => {
+  const context = { self: { addEventListener() {} } };
+  vm.createContext(context);
+  vm.runInContext(readFileSync(new URL('../public/reminder-sw.js', import.meta.url), 'utf8'), context);
+
+  const configs = [enabled, { ...enabled, morningStartHour: 6 }, { enabled: false }, undefined, { enabled: true }];
+  for (const config of configs) {
+    for (let hour = 0; hour < 24; hour++) {
+      for (const mode of ['morning', 'night']) {
+        assert.equal(context.logDateFor(mode, at(hour), config), logDateFor(mode, at(hour), config),
+          `${mode} at ${hour}:00 with ${JSON.stringify(config)}`);
+      }
+    }
+  }
+});
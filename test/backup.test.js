@@ -0,0 +1,79 @@
+// JSON backup validation and checksum (backup.js), against fake-indexeddb.
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import {
+  createBackup, parseBackup, restoreBackup, summarizeBackup, BackupError, BACKUP_FORMAT, BACKUP_VERSION,
+} from '../src/backup.js';
+import { upsertRecord, putMeal, getRecord, getMealsForDate } from '../src/db.js';
+
+await upsertRecord({ date: '2024-05-01', weight: 60.5, total_calorie: null });
+await putMeal({ date: '2024-05-02', meal: 'lunch', name: 'うどん', kcal: 500, created_at: 1 });
+const backup = await createBackup();
+const text = JSON.stringify(backup, null, 2);
+
+async function rejects(input, message) {
+  await assert.rejects(parseBackup(input), (err) => {
+    assert.ok(err instanceof BackupError);
+    assert.match(err.message, message);
+    return true;
+  });
+}
+
+test('a new backup carries the format, versions and a SHA-256 checksum', () => {
+  assert.equal(backup.format, BACKUP_FORMAT);
+  assert.equal(backup.version, BACKUP_VERSION);
+  assert.equal(backup.db.version, 8);
+  assert.equal(backup.checksum.algorithm, 'SHA-256');
+  assert.match(backup.checksum.value, /^[0-9a-f]{64}$/);
+  const counts = Object.fromEntries(summarizeBackup(backup).map(s => [s.name, s.count]));
+  assert.equal(counts.records, 2);
+  assert.equal(counts.meals, 1);
+});
+
+test('a saved backup parses back, with or without a BOM', async () => {
+  assert.deepEqual(await parseBackup(text), backup);
+  assert.deepEqual(await parseBackup(`\uFEFF${text}`), backup);
+});
+
+test('the checksum does not depend on key order', async () => {
+  const reordered = JSON.parse(text);
+  reordered.data.stores.records = reordered.data.stores.records.map(r => Object.fromEntries(Object.entries(r).reverse()));
+  assert.deepEqual(await parseBackup(JSON.stringify(reordered)), reordered);
+});
+
+test('an edited value fails the checksum', async () => {
+  const edited = JSON.parse(text);
+  edited.data.stores.records[0].weight = 50.5;
+  await rejects(JSON.stringify(edited), /チェックサムが一致しません/);
+
+  const noChecksum = JSON.parse(text);
+  delete noChecksum.checksum;
+  await rejects(JSON.stringify(noChecksum), /チェックサムがありません/);
+});
+
+test('other files are rejected with a reason', async () => {
+  await rejects('{ not json', /JSON として読み込めません/);
+  await rejects(JSON.stringify({ format: 'something-else', version: 1 }), /バックアップファイルではありません/);
+  await rejects(JSON.stringify({ ...backup, version: 0 }), /バージョンが不正です/);
+  await rejects(JSON.stringify({ ...backup, version: BACKUP_VERSION + 1 }), /アプリを更新してください/);
+  await rejects(JSON.stringify({ ...backup, data: {} }), /データが含まれていません/);
+});
+
+test('a store that is not an array is rejected after the checksum passes', async () => {
+  const data = { stores: { records: {} } };
+  // canonical JSON of data (keys sorted)
+  const value = createHash('sha256').update('{"stores":{"records":{}}}').digest('hex');
+  await rejects(JSON.stringify({ ...backup, data, checksum: { algorithm: 'SHA-256', value } }), /ストア records の形式が不正です/);
+});
+
+test('replace restores the backup over later changes', async () => {
+  await upsertRecord({ date: '2024-05-01', weight: 99, total_calorie: null });
+  await upsertRecord({ date: '2024-05-09', weight: 61, total_calorie: null });
+  await restoreBackup(await parseBackup(text), 'replace');
+  assert.equal((await getRecord('2024-05-01')).weight, 60.5);
+  assert.equal(await getRecord('2024-05-09'), null);
+  assert.deepEqual((await getMealsForDate('2024-05-02')).map(m => m.name), ['うどん']);
+  await assert.rejects(restoreBackup(backup, 'append'), BackupError);
+});
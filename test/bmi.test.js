@@ -0,0 +1,48 @@
+// BMI and healthy-range bands (bmi.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeBmi, bmiCategory, bmiStandard, weightForBmi, DEFAULT_BMI_STANDARD } from '../src/bmi.js';
+
+test('computeBmi uses the height in cm', () => {
+  assert.ok(Math.abs(computeBmi(70, 175) - 22.857142857) < 1e-6);
+  assert.ok(Math.abs(computeBmi(64, 160) - 25) < 1e-9);
+});
+
+test('computeBmi is null without a weight or a height', () => {
+  assert.equal(computeBmi(null, 170), null);
+  assert.equal(computeBmi(undefined, 170), null);
+  assert.equal(computeBmi(70, null), null);
+  assert.equal(computeBmi(70, 0), null);
+});
+
+test('categories are [min, max) ranges of the chosen standard', () => {
+  assert.equal(DEFAULT_BMI_STANDARD, 'jasso');
+  assert.equal(bmiCategory(18.4, 'jasso').label, '低体重');
+  assert.equal(bmiCategory(18.5, 'jasso').label, '普通体重');
+  assert.equal(bmiCategory(25, 'jasso').label, '肥満(1度)');
+  assert.equal(bmiCategory(55, 'jasso').label, '肥満(4度)');
+
+  assert.equal(bmiCategory(15.9, 'who').label, '重度のやせ');
+  assert.equal(bmiCategory(16, 'who').label, '中等度のやせ');
+  assert.equal(bmiCategory(25, 'who').label, '前肥満');
+  assert.equal(bmiCategory(null, 'who'), null);
+});
+
+test('unknown standards fall back to the default', () => {
+  assert.equal(bmiStandard('unknown').key, 'jasso');
+  assert.equal(bmiCategory(22, 'unknown').label, '普通体重');
+});
+
+test('the categories of each standard cover every value without gaps', () => {
+  for (const key of ['jasso', 'who']) {
+    const { categories } = bmiStandard(key);
+    assert.equal(categories[0].min, null);
+    assert.equal(categories.at(-1).max, null);
+    categories.slice(1).forEach((c, i) => assert.equal(c.min, categories[i].max));
+  }
+});
+
+test('weightForBmi is the inverse of computeBmi', () => {
+  assert.equal(weightForBmi(25, 160), 64);
+  assert.ok(Math.abs(computeBmi(weightForBmi(18.5, 172), 172) - 18.5) < 1e-9);
+});
@@ -0,0 +1,165 @@
+// CSV parsing, import rows and merge strategies (csv.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseCSV, parseRecordsCSV, recordsToCSV, mergeImportedRecord, withoutDerivedValues, normalizeDate,
+} from '../src/csv.js';
+import { getMetricDefs } from '../src/metrics.js';
+
+const [row] = parseRecordsCSV('date,weight,total_calorie,protein\n2024-05-01,60.5,1800,70\n');
+
+test('values derived from meals are dropped on days with meals', () => {
+  const { row: target, dropped } = withoutDerivedValues(row, { meals: true, weighins: false });
+  assert.deepEqual(dropped, ['total_calorie', 'protein']);
+  assert.equal(target.values.weight, 60.5);
+  assert.ok(!('total_calorie' in target.values));
+  // overwrite must not null the meal total either
+  const existing = { date: '2024-05-01', weight: 61, total_calorie: 1500, protein: 60 };
+  assert.deepEqual(mergeImportedRecord(existing, target, 'overwrite'), { ...existing, weight: 60.5 });
+});
+
+test('the weight is dropped on days with weigh-ins', () => {
+  const { row: target, dropped } = withoutDerivedValues(row, { meals: false, weighins: true });
+  assert.deepEqual(dropped, ['weight']);
+  assert.equal(target.values.total_calorie, 1800);
+});
+
+test('rows of days without meals or weigh-ins are unchanged', () => {
+  const { row: target, dropped } = withoutDerivedValues(row, { meals: false, weighins: false });
+  assert.deepEqual(dropped, []);
+  assert.deepEqual(target.values, row.values);
+});
+
+test('muscle mass is exported and read back in the profile weight unit', () => {
+  const defs = getMetricDefs([]);
+  const csv = recordsToCSV([{ date: '2024-05-01', weight: 60, total_calorie: null, muscle_mass: 45 }], defs, { weight: 'lb' });
+  const [header, line] = csv.split('\n');
+  assert.ok(header.split(',').includes('muscle_mass_lb'));
+  assert.ok(line.split(',').includes('99.21'));
+
+  const [parsed] = parseRecordsCSV(csv, defs);
+  assert.deepEqual(parsed.errors, []);
+  // 99.21 lb is exported to 2 decimals, so the kg value comes back within 0.005 kg
+  assert.ok(Math.abs(parsed.values.muscle_mass - 45) < 0.005);
+});
+
+// -----------------------------
+// parseCSV
+// -----------------------------
+test('parseCSV strips the BOM and accepts CRLF, LF and CR line ends', () => {
+  assert.deepEqual(parseCSV('\uFEFFdate,weight\r\n2024-05-01,60\n2024-05-02,61\r2024-05-03,62'), [
+    ['date', 'weight'], ['2024-05-01', '60'], ['2024-05-02', '61'], ['2024-05-03', '62'],
+  ]);
+});
+
+test('parseCSV reads quoted fields with commas, quotes and newlines', () => {
+  assert.deepEqual(parseCSV('a,"b,c","say ""hi""","line1\r\nline2",""\n'), [
+    ['a', 'b,c', 'say "hi"', 'line1\r\nline2', ''],
+  ]);
+});
+
+test('parseCSV drops blank lines', () => {
+  assert.deepEqual(parseCSV('\n\ndate\n ,\n\n2024-05-01\n'), [['date'], ['2024-05-01']]);
+  assert.deepEqual(parseCSV(''), []);
+});
+
+// -----------------------------
+// parseRecordsCSV
+// -----------------------------
+test('a header-less file uses the export column order', () => {
+  const rows = parseRecordsCSV('2024-05-01,60.5,1800\r\n2024-05-02,,2100\r\n');
+  assert.deepEqual(rows.map(r => [r.line, r.date, r.values.weight, r.values.total_calorie, r.errors]), [
+    [1, '2024-05-01', 60.5, 1800, []],
+    [2, '2024-05-02', null, 2100, []],
+  ]);
+});
+
+test('old and Japanese headers, quoted numbers with thousands separators and slash dates are read', () => {
+  const [old] = parseRecordsCSV('\uFEFFDate,Weight,TotalCalorie\n2024/5/1,60.5,"1,800"\n');
+  assert.deepEqual([old.date, old.values], ['2024-05-01', { weight: 60.5, total_calorie: 1800 }]);
+
+  const [ja] = parseRecordsCSV('日付,体重\n2024.05.02,61\n');
+  assert.deepEqual([ja.date, ja.values], ['2024-05-02', { weight: 61 }]);
+});
+
+test('columns in another unit are converted to kg / kcal', () => {
+  const [row] = parseRecordsCSV('date,weight_lb,total_calorie_kj\n2024-05-01,150,8368\n');
+  assert.equal(row.values.weight, 68.039);
+  assert.equal(row.values.total_calorie, 2000);
+});
+
+test('invalid dates and numbers are reported and their values not imported', () => {
+  const rows = parseRecordsCSV([
+    'date,weight,total_calorie',
+    '2024-02-30,60,1800',
+    'yesterday,60,1800',
+    '2024-05-01,abc,1800',
+    '2024-05-02,0,1800',
+    '2024-05-03,60,-5',
+    ',60,',
+  ].join('\n'));
+  assert.deepEqual(rows.map(r => r.errors), [
+    ['日付が不正です: 2024-02-30'],
+    ['日付が不正です: yesterday'],
+    ['体重が数値ではありません: abc'],
+    ['体重が範囲外です: 0'],
+    ['カロリーが範囲外です: -5'],
+    ['日付が不正です: (空)'],
+  ]);
+  assert.equal(rows[2].values.weight, null);
+  assert.equal(rows[2].values.total_calorie, 1800);
+  assert.equal(rows[4].values.total_calorie, null);
+  assert.equal(normalizeDate('2024-02-29'), '2024-02-29');
+  assert.equal(normalizeDate('2023-02-29'), null);
+});
+
+test('a row without any value gets a warning', () => {
+  const [row] = parseRecordsCSV('date,weight,total_calorie\n2024-05-01,,\n');
+  assert.deepEqual([row.errors, row.warnings], [[], ['値がありません']]);
+});
+
+test('a date repeated in one file: the last row wins', () => {
+  const rows = parseRecordsCSV('date,weight\n2024-05-01,60\n2024/5/1,61\n2024-05-02,62\n2024-05-01,63\n');
+  assert.deepEqual(rows.map(r => r.superseded), [true, true, false, false]);
+  assert.deepEqual(rows[0].warnings, ['3行目で上書きされます']);
+  assert.deepEqual(rows[1].warnings, ['5行目で上書きされます']);
+  assert.equal(rows[3].values.weight, 63);
+});
+
+// -----------------------------
+// mergeImportedRecord
+// -----------------------------
+const existing = { date: '2024-05-01', weight: 61, total_calorie: 1500, protein: 60 };
+const [partial] = parseRecordsCSV('date,weight,total_calorie,protein\n2024-05-01,60.5,,\n');
+
+test('a date without a record is added by every strategy', () => {
+  for (const strategy of ['skip', 'overwrite', 'merge']) {
+    assert.deepEqual(mergeImportedRecord(null, partial, strategy), {
+      date: '2024-05-01', weight: 60.5, total_calorie: null, protein: null,
+    });
+  }
+  const [empty] = parseRecordsCSV('date,weight\n2024-05-01,\n');
+  assert.equal(mergeImportedRecord(null, empty, 'merge'), null);
+});
+
+test('skip leaves existing records alone', () => {
+  assert.equal(mergeImportedRecord(existing, partial, 'skip'), null);
+});
+
+test('overwrite replaces every CSV column, blanks included', () => {
+  assert.deepEqual(mergeImportedRecord({ ...existing, fat: 40 }, partial, 'overwrite'), {
+    date: '2024-05-01', weight: 60.5, total_calorie: null, protein: null, fat: 40,
+  });
+});
+
+test('merge only takes the non-empty CSV values', () => {
+  assert.deepEqual(mergeImportedRecord(existing, partial, 'merge'), { ...existing, weight: 60.5 });
+  const [blanks] = parseRecordsCSV('date,weight,total_calorie\n2024-05-01,,\n');
+  assert.equal(mergeImportedRecord(existing, blanks, 'merge'), null);
+});
+
+test('rows that change nothing are not written', () => {
+  const [same] = parseRecordsCSV('date,weight,total_calorie\n2024-05-01,61,1500\n');
+  assert.equal(mergeImportedRecord(existing, same, 'overwrite'), null);
+  assert.equal(mergeImportedRecord(existing, same, 'merge'), null);
+});
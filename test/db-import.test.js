@@ -0,0 +1,81 @@
+// Merging a backup into existing data (db.importStores), against fake-indexeddb.
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  importStores, putMeal, putFood, getRecord, getMealsForDate, getWeighInsForDate, getAllFoods, upsertRecord,
+  getDerivedDates,
+} from '../src/db.js';
+
+// rows as exported by another device at the current DB version
+const backup = {
+  foods: [{ id: 1, name: 'パン', kcal: 250 }],
+  meals: [
+    { id: 1, profile_id: 1, date: '2019-01-01', meal: 'breakfast', name: 'パン', kcal: 250, food_id: 1, created_at: 1 },
+    { id: 2, profile_id: 1, date: '2019-01-01', meal: 'dinner', name: 'カレー', kcal: 700, created_at: 2 },
+  ],
+  weighins: [
+    { id: 1, profile_id: 1, date: '2019-01-01', time: '07:00', weight: 60.2, created_at: 1 },
+  ],
+  records: [
+    { profile_id: 1, date: '2019-01-01', weight: 60.2, total_calorie: 950 },
+    { profile_id: 1, date: '2020-06-02', weight: 61, total_calorie: 900 },
+  ],
+};
+
+const localFoodId = await putFood({ name: 'ごはん', kcal: 250 });
+const localMealId = await putMeal({ date: '2020-06-02', meal: 'lunch', name: 'ごはん', kcal: 500, created_at: 1 });
+await upsertRecord({ date: '2018-12-31', weight: 59.9, total_calorie: 1800 });
+
+test('merged meals get new ids and leave local meals alone', async () => {
+  await importStores(backup, 'merge');
+
+  const local = await getMealsForDate('2020-06-02');
+  assert.deepEqual(local.map(m => [m.id, m.kcal]), [[localMealId, 500]]);
+  // the backup's total for this day disagrees with the local meals; the meals win
+  assert.equal((await getRecord('2020-06-02')).total_calorie, 500);
+  assert.equal((await getRecord('2020-06-02')).weight, 61);
+
+  const merged = await getMealsForDate('2019-01-01');
+  assert.deepEqual(merged.map(m => m.name), ['パン', 'カレー']);
+  assert.ok(merged.every(m => m.id !== localMealId));
+  assert.equal((await getRecord('2019-01-01')).total_calorie, 950);
+});
+
+test('meals point at the merged food, not the local food with the same id', async () => {
+  const foods = await getAllFoods();
+  assert.equal(foods.length, 2);
+  const bread = foods.find(f => f.name === 'パン');
+  assert.notEqual(bread.id, localFoodId);
+
+  const [meal] = (await getMealsForDate('2019-01-01')).filter(m => m.name === 'パン');
+  assert.equal(meal.food_id, bread.id);
+});
+
+test('merged weigh-ins re-derive the day weight', async () => {
+  const weighins = await getWeighInsForDate('2019-01-01');
+  assert.deepEqual(weighins.map(w => w.weight), [60.2]);
+  assert.equal((await getRecord('2019-01-01')).weight, 60.2);
+});
+
+test('merging the same backup again adds nothing', async () => {
+  const { written } = await importStores(backup, 'merge');
+  // only the two records are overlaid again
+  assert.equal(written, 2);
+  assert.equal((await getMealsForDate('2019-01-01')).length, 2);
+  assert.equal((await getWeighInsForDate('2019-01-01')).length, 1);
+  assert.equal((await getAllFoods()).length, 2);
+});
+
+test('days without meals keep the total typed into the record', async () => {
+  await importStores({ records: [{ profile_id: 1, date: '2018-12-31', weight: 59.5 }] }, 'merge');
+  const record = await getRecord('2018-12-31');
+  assert.equal(record.weight, 59.5);
+  assert.equal(record.total_calorie, 1800);
+});
+
+test('dates with meals or weigh-ins are reported as derived', async () => {
+  const { meals, weighins } = await getDerivedDates();
+  assert.deepEqual([...meals].sort(), ['2019-01-01', '2020-06-02']);
+  assert.deepEqual([...weighins], ['2019-01-01']);
+});
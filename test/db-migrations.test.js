@@ -0,0 +1,108 @@
+// Opening databases created by older versions (db.js MIGRATIONS), against fake-indexeddb.
+// Each scenario writes an old database by hand and then imports a fresh instance of
+// db.js (the query string makes it a separate module), which upgrades it to the
+// current version on open.
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const DB_NAME = 'WeightCalorieDB';
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// version の DB を作り、setup(db) でストアを作って rows を入れてから閉じる
+function createOldDatabase(version, setup, rows) {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open(DB_NAME, version);
+    open.onupgradeneeded = () => setup(open.result);
+    open.onsuccess = () => {
+      const db = open.result;
+      const tx = db.transaction(Object.keys(rows), 'readwrite');
+      Object.entries(rows).forEach(([name, items]) => items.forEach(item => tx.objectStore(name).put(item)));
+      tx.oncomplete = () => {
+        db.close();
+        resolve();
+      };
+      tx.onerror = () => reject(tx.error);
+    };
+    open.onerror = () => reject(open.error);
+  });
+}
+
+function deleteDatabase() {
+  return request(indexedDB.deleteDatabase(DB_NAME));
+}
+
+async function storeSnapshot(db, name) {
+  const store = db.transaction([name], 'readonly').objectStore(name);
+  return { keyPath: store.keyPath, indexes: [...store.indexNames].sort(), rows: await request(store.getAll()) };
+}
+
+test('a v1 database is upgraded through every step to the current schema', async () => {
+  await createOldDatabase(1, (db) => db.createObjectStore('records', { keyPath: 'date' }), {
+    records: [
+      { date: '2019-03-01', weight: '70.5', total_calorie: '1800' },
+      { date: '2019-03-02', weight: 70.1, total_calorie: '' },
+      { date: '2019-03-03', weight: 'abc', total_calorie: 2100 },
+    ],
+  });
+
+  const db = await import('../src/db.js?from=v1');
+  const conn = await db.dbPromise;
+  assert.equal(conn.version, 8);
+  assert.deepEqual([...conn.objectStoreNames].sort(), ['foods', 'meals', 'profiles', 'records', 'revisions', 'settings', 'weighins']);
+
+  const records = await storeSnapshot(conn, 'records');
+  assert.deepEqual(records.keyPath, ['profile_id', 'date']);
+  assert.deepEqual(records.indexes, ['profile_date']);
+  // v2: numbers stored as strings become numbers (unreadable values become null); v8: default profile
+  assert.deepEqual(records.rows, [
+    { profile_id: 1, date: '2019-03-01', weight: 70.5, total_calorie: 1800 },
+    { profile_id: 1, date: '2019-03-02', weight: 70.1, total_calorie: null },
+    { profile_id: 1, date: '2019-03-03', weight: null, total_calorie: 2100 },
+  ]);
+  for (const name of ['meals', 'weighins', 'revisions']) {
+    assert.deepEqual((await storeSnapshot(conn, name)).indexes, ['date', 'profile_date']);
+  }
+
+  // the upgraded rows are readable through the profile-scoped API
+  assert.equal((await db.getRecord('2019-03-01')).weight, 70.5);
+  assert.deepEqual((await db.getRecordsInRange('2019-03-02', '2019-03-31')).map(r => r.date), ['2019-03-02', '2019-03-03']);
+  conn.close();
+});
+
+test('a v6 database keeps its meals and weigh-ins, now under the default profile', async () => {
+  await deleteDatabase();
+  await createOldDatabase(6, (db) => {
+    db.createObjectStore('records', { keyPath: 'date' }).createIndex('date', 'date', { unique: false });
+    db.createObjectStore('settings', { keyPath: 'key' });
+    db.createObjectStore('meals', { keyPath: 'id', autoIncrement: true }).createIndex('date', 'date', { unique: false });
+    db.createObjectStore('foods', { keyPath: 'id', autoIncrement: true });
+    db.createObjectStore('weighins', { keyPath: 'id', autoIncrement: true }).createIndex('date', 'date', { unique: false });
+  }, {
+    records: [{ date: '2021-07-01', weight: 62.3, total_calorie: 650 }],
+    settings: [{ key: 'weighInRule', value: 'lowest' }],
+    meals: [{ id: 5, date: '2021-07-01', meal: 'lunch', name: 'そば', kcal: 650, created_at: 1 }],
+    foods: [{ id: 2, name: 'そば', kcal: 650 }],
+    weighins: [
+      { id: 3, date: '2021-07-01', time: '07:00', weight: 62.5, created_at: 1 },
+      { id: 4, date: '2021-07-01', time: '22:00', weight: 62.3, created_at: 2 },
+    ],
+  });
+
+  const db = await import('../src/db.js?from=v6');
+  const conn = await db.dbPromise;
+  assert.equal(conn.version, 8);
+
+  assert.deepEqual((await db.getMealsForDate('2021-07-01')).map(m => [m.id, m.profile_id, m.kcal]), [[5, 1, 650]]);
+  assert.deepEqual((await db.getWeighInsForDate('2021-07-01')).map(w => [w.id, w.profile_id, w.weight]), [[3, 1, 62.5], [4, 1, 62.3]]);
+  assert.deepEqual(await db.getAllFoods(), [{ id: 2, name: 'そば', kcal: 650 }]);
+  assert.deepEqual(await db.getRecord('2021-07-01'), { profile_id: 1, date: '2021-07-01', weight: 62.3, total_calorie: 650 });
+  assert.equal(await db.getSetting('weighInRule'), 'lowest');
+  conn.close();
+});
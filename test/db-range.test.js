@@ -0,0 +1,85 @@
+// Range queries on the records index (db.js), against fake-indexeddb.
+// 10 years of daily records are restored as a v1 backup, so they go through the
+// same migration transforms as an upgraded database. (Migrating them in place
+// with a cursor is quadratic in fake-indexeddb and takes about a minute.)
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getRecordsInRange, iterateRecordsInRange, getAllRecords, upsertRecord, setActiveProfile, importStores,
+} from '../src/db.js';
+
+const DAYS = 3650;
+const FIRST_DAY = Date.UTC(2015, 0, 1);
+
+function isoDay(i) {
+  return new Date(FIRST_DAY + i * 86400000).toISOString().slice(0, 10);
+}
+
+// v1 rows: keyed by date only, weight sometimes stored as a string
+const v1Records = Array.from({ length: DAYS }, (_, i) => {
+  const weight = 70 + Math.round(Math.sin(i / 10) * 20) / 10;
+  return { date: isoDay(i), weight: i % 2 ? String(weight) : weight, total_calorie: 2000 };
+});
+await importStores({ records: v1Records }, 'replace', 1);
+
+async function pageSizes(start, end, pageSize) {
+  const pages = [];
+  for await (const page of iterateRecordsInRange(start, end, pageSize)) pages.push(page);
+  return pages;
+}
+
+test('a 1-year range of a 10-year dataset is read from the index', async (t) => {
+  const started = performance.now();
+  const rows = await getRecordsInRange('2020-01-01', '2020-12-31');
+  const elapsed = performance.now() - started;
+  t.diagnostic(`getRecordsInRange: ${rows.length} rows in ${elapsed.toFixed(0)} ms`);
+
+  assert.equal(rows.length, 366);
+  assert.equal(rows[0].date, '2020-01-01');
+  assert.equal(rows[rows.length - 1].date, '2020-12-31');
+  assert.ok(rows.every((r, i) => i === 0 || rows[i - 1].date < r.date), 'rows are in date order');
+  // migrated rows: numeric weight, default profile
+  assert.ok(rows.every(r => typeof r.weight === 'number' && r.profile_id === 1));
+  // generous bound so a slow CI machine doesn't fail; a full scan is the regression to catch
+  assert.ok(elapsed < 5000, `took ${elapsed.toFixed(0)} ms`);
+  assert.equal((await getAllRecords()).length, DAYS);
+});
+
+test('paging resumes right after the last row of the previous page', async () => {
+  const pages = await pageSizes('2020-01-01', '2020-01-10', 3);
+  assert.deepEqual(pages.map(p => p.length), [3, 3, 3, 1]);
+  assert.deepEqual(
+    pages.flat().map(r => r.date),
+    Array.from({ length: 10 }, (_, i) => `2020-01-${String(i + 1).padStart(2, '0')}`),
+  );
+});
+
+test('a page that ends exactly at the end of the range is not followed by an empty page', async () => {
+  const pages = await pageSizes('2020-01-01', '2020-01-10', 5);
+  assert.deepEqual(pages.map(p => p.length), [5, 5]);
+});
+
+test('pages of one row walk the whole range', async () => {
+  const pages = await pageSizes('2016-02-27', '2016-03-02', 1);
+  assert.deepEqual(pages.map(p => p[0].date), ['2016-02-27', '2016-02-28', '2016-02-29', '2016-03-01', '2016-03-02']);
+});
+
+test('ranges outside the data, or reversed, are empty', async () => {
+  assert.deepEqual(await getRecordsInRange('2030-01-01', '2030-12-31'), []);
+  assert.deepEqual(await getRecordsInRange('2020-02-01', '2020-01-01'), []);
+});
+
+test('paging stays inside the active profile', async () => {
+  await setActiveProfile(2);
+  await upsertRecord({ date: '2020-01-02', weight: 55 });
+  await upsertRecord({ date: '2020-01-05', weight: 54.8 });
+  const other = (await pageSizes('2020-01-01', '2020-12-31', 1)).flat();
+  assert.deepEqual(other.map(r => [r.date, r.weight]), [['2020-01-02', 55], ['2020-01-05', 54.8]]);
+
+  await setActiveProfile(1);
+  // the data ends on 2024-12-28
+  const pages = await pageSizes('2024-12-20', '2025-01-10', 4);
+  assert.deepEqual(pages.map(p => p.length), [4, 4, 1]);
+  assert.ok(pages.flat().every(r => r.profile_id === 1));
+});
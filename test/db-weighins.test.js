@@ -0,0 +1,52 @@
+// Saving weigh-ins from the morning card (db.saveWeighIn), against fake-indexeddb.
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  saveWeighIn, getWeighInsForDate, getRecord, upsertRecord, setWeighInRule,
+} from '../src/db.js';
+
+const weights = async (date) => (await getWeighInsForDate(date)).map(w => [w.time, w.weight]);
+
+test('re-saving at the same time corrects the weigh-in instead of adding one', async () => {
+  const first = await saveWeighIn({ date: '2024-05-01', time: '07:00', weight: 7.53 });
+  assert.deepEqual({ replaced: first.replaced, count: first.count }, { replaced: false, count: 1 });
+
+  const fixed = await saveWeighIn({ date: '2024-05-01', time: '07:00', weight: 75.3 });
+  assert.deepEqual(fixed, { id: first.id, replaced: true, count: 1 });
+  assert.deepEqual(await weights('2024-05-01'), [['07:00', 75.3]]);
+  // under the default 'first' rule the day now shows the corrected value
+  assert.equal((await getRecord('2024-05-01')).weight, 75.3);
+});
+
+test('a weigh-in at another time is added and reported', async () => {
+  const later = await saveWeighIn({ date: '2024-05-01', time: '21:00', weight: 76.1 });
+  assert.deepEqual({ replaced: later.replaced, count: later.count }, { replaced: false, count: 2 });
+  assert.deepEqual(await weights('2024-05-01'), [['07:00', 75.3], ['21:00', 76.1]]);
+  assert.equal((await getRecord('2024-05-01')).weight, 75.3);
+});
+
+test('an untimed save replaces the untimed weigh-in', async () => {
+  await saveWeighIn({ date: '2024-05-02', time: null, weight: 80 });
+  const fixed = await saveWeighIn({ date: '2024-05-02', time: '', weight: 70 });
+  assert.equal(fixed.replaced, true);
+  assert.deepEqual(await weights('2024-05-02'), [[null, 70]]);
+});
+
+test('a day with only a legacy weight keeps it as an untimed weigh-in', async () => {
+  await upsertRecord({ date: '2024-05-03', weight: 70.4, total_calorie: 2000 });
+  const added = await saveWeighIn({ date: '2024-05-03', time: '07:30', weight: 70.0 });
+  assert.deepEqual({ replaced: added.replaced, count: added.count }, { replaced: false, count: 2 });
+  assert.deepEqual(await weights('2024-05-03'), [[null, 70.4], ['07:30', 70]]);
+
+  await setWeighInRule('lowest');
+  const record = await getRecord('2024-05-03');
+  assert.equal(record.weight, 70);
+  assert.equal(record.total_calorie, 2000);
+
+  // correcting the legacy value itself is an untimed save
+  await saveWeighIn({ date: '2024-05-03', time: null, weight: 69.8 });
+  assert.deepEqual(await weights('2024-05-03'), [[null, 69.8], ['07:30', 70]]);
+  assert.equal((await getRecord('2024-05-03')).weight, 69.8);
+  await setWeighInRule('first');
+});
@@ -0,0 +1,61 @@
+// Maintenance calorie (TDEE) estimate (energy.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateTdee, KCAL_PER_KG, MIN_TDEE_DAYS } from '../src/energy.js';
+import { dayNumber, isoFromDayNumber } from '../src/trend.js';
+
+// 2024-01-01 から days 日分。trend は 1 日 perDay ずつ変わる
+function period(days, { calorie = 2000, perDay = 0, start = 70 } = {}) {
+  return Array.from({ length: days }, (_, i) => ({
+    date: isoFromDayNumber(dayNumber('2024-01-01') + i),
+    weight: start + i * perDay,
+    calorie,
+    trend: start + i * perDay,
+  }));
+}
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} != ${expected}`);
+
+test('a stable trend puts maintenance at the average intake', () => {
+  const est = estimateTdee(period(28), 28);
+  assert.equal(est.tdee, 2000);
+  assert.equal(est.avgIntake, 2000);
+  assert.equal(est.trendChange, 0);
+  assert.equal(est.spanDays, 27);
+  assert.equal(est.pairedDays, 28);
+  assert.equal(est.coverage, 1);
+  assert.equal(est.confidence, 'high');
+});
+
+test('losing on the trend means maintenance is above intake', () => {
+  // 0.1 kg / 日の減少 = 770 kcal / 日の不足
+  const est = estimateTdee(period(28, { calorie: 1800, perDay: -0.1 }), 28);
+  close(est.trendChange, -2.7);
+  close(est.tdee, 1800 + 0.1 * KCAL_PER_KG);
+});
+
+test('days without calories are left out of the average intake', () => {
+  const days = period(28);
+  days[0].calorie = null;
+  days[1].calorie = 3000;
+  const est = estimateTdee(days, 28);
+  close(est.avgIntake, (3000 + 2000 * 26) / 27);
+  assert.equal(est.pairedDays, 27);
+});
+
+test('short spans and missing data give no estimate', () => {
+  assert.equal(estimateTdee(period(MIN_TDEE_DAYS), 28), null);
+  assert.notEqual(estimateTdee(period(MIN_TDEE_DAYS + 1), 28), null);
+  assert.equal(estimateTdee(period(28).map(d => ({ ...d, calorie: null })), 28), null);
+  assert.equal(estimateTdee(period(28).map(d => ({ ...d, trend: null })), 28), null);
+  assert.equal(estimateTdee([], 28), null);
+});
+
+test('confidence follows the share of days with both weight and calories', () => {
+  const sparse = (keepEvery) => period(28).map((d, i) => (i % keepEvery === 0 ? d : { ...d, calorie: null }));
+  assert.equal(estimateTdee(sparse(2), 28).confidence, 'medium');
+  assert.equal(estimateTdee(sparse(4), 28).confidence, 'low');
+  // 記録が揃っていても 3 週間に満たなければ high にしない
+  assert.equal(estimateTdee(period(20), 20).confidence, 'medium');
+  assert.equal(estimateTdee(period(28), 0).coverage, 0);
+});
@@ -0,0 +1,81 @@
+// Goal progress and projected reach date (goal.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { goalProgress, isGoalReached, projectGoal } from '../src/goal.js';
+import { isoFromDayNumber, dayNumber } from '../src/trend.js';
+
+const losing = { target_weight: 65, start_weight: 75, target_date: null };
+const gaining = { target_weight: 60, start_weight: 55, target_date: null };
+
+// today を最終日とする days 日分の、1 日 perDay ずつ変わるトレンド
+function linearTrend(today, days, last, perDay) {
+  return Array.from({ length: days }, (_, i) => {
+    const back = days - 1 - i;
+    return { date: isoFromDayNumber(dayNumber(today) - back), value: last - back * perDay };
+  });
+}
+
+test('goalProgress for losing and gaining goals', () => {
+  assert.deepEqual(goalProgress(losing, 72.5), { change: -2.5, remaining: -7.5, percent: 25 });
+  assert.deepEqual(goalProgress(gaining, 56), { change: 1, remaining: 4, percent: 20 });
+  // 逆行と行き過ぎは 0〜100 に丸めない
+  assert.equal(goalProgress(losing, 76).percent, -10);
+  assert.equal(Math.round(goalProgress(losing, 64).percent), 110);
+  assert.equal(goalProgress({ target_weight: 70, start_weight: 70 }, 71).percent, 100);
+});
+
+test('isGoalReached depends on the goal direction', () => {
+  assert.equal(isGoalReached(losing, 65), true);
+  assert.equal(isGoalReached(losing, 65.1), false);
+  assert.equal(isGoalReached(gaining, 60), true);
+  assert.equal(isGoalReached(gaining, 59.9), false);
+});
+
+test('projectGoal: the reach date follows the recent pace', () => {
+  // 0.1 kg / 日の減量で残り 5 kg → 50 日後
+  const result = projectGoal(losing, linearTrend('2024-03-01', 28, 70, -0.1), '2024-03-01');
+  assert.equal(result.current, 70);
+  assert.ok(Math.abs(result.slopePerWeek - -0.7) < 1e-9);
+  assert.equal(result.reached, false);
+  assert.equal(result.projectedDate, '2024-04-20');
+  assert.equal(result.requiredPerWeek, null);
+  assert.equal(result.onTrack, null);
+});
+
+test('projectGoal: only the last 28 days set the pace', () => {
+  // 28 日より前は増えていても、直近の減量ペースで予測する
+  const old = linearTrend('2024-01-31', 30, 72, 0.1);
+  const recent = linearTrend('2024-03-01', 28, 70, -0.1);
+  assert.equal(projectGoal(losing, [...old, ...recent], '2024-03-01').projectedDate, '2024-04-20');
+});
+
+test('projectGoal: moving away from the goal or flat has no date', () => {
+  assert.equal(projectGoal(losing, linearTrend('2024-03-01', 28, 70, 0.1), '2024-03-01').projectedDate, null);
+  assert.equal(projectGoal(losing, linearTrend('2024-03-01', 28, 70, 0), '2024-03-01').projectedDate, null);
+  assert.equal(projectGoal(losing, [{ date: '2024-03-01', value: 70 }], '2024-03-01').slopePerWeek, null);
+  // 5 年より先は予測しない
+  assert.equal(projectGoal(losing, linearTrend('2024-03-01', 28, 70, -0.001), '2024-03-01').projectedDate, null);
+});
+
+test('projectGoal: a target date gives the required pace and whether it is on track', () => {
+  const trend = linearTrend('2024-03-01', 28, 70, -0.1);
+  const late = projectGoal({ ...losing, target_date: '2024-03-31' }, trend, '2024-03-01');
+  assert.ok(Math.abs(late.requiredPerWeek - (-5 / 30) * 7) < 1e-9);
+  assert.equal(late.onTrack, false);
+
+  const early = projectGoal({ ...losing, target_date: '2024-06-01' }, trend, '2024-03-01');
+  assert.equal(early.onTrack, true);
+});
+
+test('projectGoal: a reached goal projects today and is on track', () => {
+  const result = projectGoal({ ...losing, target_date: '2024-02-01' }, linearTrend('2024-03-01', 10, 64.8, -0.1), '2024-03-01');
+  assert.equal(result.reached, true);
+  assert.equal(result.projectedDate, '2024-03-01');
+  assert.equal(result.requiredPerWeek, null);
+  assert.equal(result.onTrack, true);
+});
+
+test('projectGoal without trend values is null', () => {
+  assert.equal(projectGoal(losing, [], '2024-03-01'), null);
+  assert.equal(projectGoal(losing, [{ date: '2024-03-01', value: null }], '2024-03-01'), null);
+});
@@ -0,0 +1,75 @@
+// Day / week / month aggregation (grouping.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isoWeek, bucketBounds, averageField, groupRecords, grouping } from '../src/grouping.js';
+
+test('isoWeek uses the year of the week\'s Thursday', () => {
+  assert.deepEqual(isoWeek('2024-01-01'), { year: 2024, week: 1 });
+  assert.deepEqual(isoWeek('2024-12-30'), { year: 2025, week: 1 });
+  assert.deepEqual(isoWeek('2021-01-03'), { year: 2020, week: 53 });
+  assert.deepEqual(isoWeek('2026-12-31'), { year: 2026, week: 53 });
+});
+
+test('bucketBounds: weeks start on Monday, months run to their last day', () => {
+  assert.deepEqual(bucketBounds('2024-03-03', 'week'), { start: '2024-02-26', end: '2024-03-03' });
+  assert.deepEqual(bucketBounds('2024-03-04', 'week'), { start: '2024-03-04', end: '2024-03-10' });
+  assert.deepEqual(bucketBounds('2024-02-10', 'month'), { start: '2024-02-01', end: '2024-02-29' });
+  assert.deepEqual(bucketBounds('2023-02-10', 'month'), { start: '2023-02-01', end: '2023-02-28' });
+  assert.deepEqual(bucketBounds('2024-12-31', 'month'), { start: '2024-12-01', end: '2024-12-31' });
+  assert.deepEqual(bucketBounds('2024-02-10', 'day'), { start: '2024-02-10', end: '2024-02-10' });
+});
+
+test('averageField ignores empty and non-numeric values', () => {
+  assert.equal(averageField([{ p: 10 }, { p: null }, { p: '' }, { p: '20' }, { p: 'x' }], 'p'), 15);
+  assert.equal(averageField([{ p: null }], 'p'), null);
+  assert.equal(averageField([], 'p'), null);
+});
+
+test('weeks cut by the range are partial and only count days inside it', () => {
+  const records = [
+    { date: '2024-02-28', weight: 70, total_calorie: 2000 },
+    { date: '2024-03-01', weight: 69, total_calorie: null },
+    { date: '2024-03-04', weight: null, total_calorie: 1800 },
+    { date: '2024-03-06', weight: 68, total_calorie: 2200 },
+  ];
+  const buckets = groupRecords(records, 'week', '2024-02-28', '2024-03-06');
+  assert.deepEqual(buckets.map(b => [b.key, b.start, b.end, b.days, b.fullDays, b.partial, b.loggedDays]), [
+    ['2024-02-26', '2024-02-28', '2024-03-03', 5, 7, true, 2],
+    ['2024-03-04', '2024-03-04', '2024-03-06', 3, 7, true, 2],
+  ]);
+  assert.equal(buckets[0].weight.mean, 69.5);
+  assert.equal(buckets[0].calorie.mean, 2000);
+  assert.equal(buckets[1].weight.count, 1);
+  assert.equal(buckets[1].calorie.total, 4000);
+});
+
+test('periods without records are kept with null statistics', () => {
+  const buckets = groupRecords([{ date: '2024-03-15', weight: 70 }], 'month', '2024-01-01', '2024-03-31');
+  assert.deepEqual(buckets.map(b => [b.key, b.days, b.partial, b.loggedDays]), [
+    ['2024-01-01', 31, false, 0],
+    ['2024-02-01', 29, false, 0],
+    ['2024-03-01', 31, false, 1],
+  ]);
+  assert.equal(buckets[0].weight, null);
+  assert.equal(buckets[0].calorie, null);
+  assert.equal(buckets[2].weight.mean, 70);
+  assert.equal(buckets[2].calorie, null);
+});
+
+test('outlier days are left out of the weight statistics', () => {
+  const [bucket] = groupRecords([
+    { date: '2024-03-04', weight: 70 },
+    { date: '2024-03-05', weight: 7, outlier: true },
+    { date: '2024-03-06', weight: 72 },
+  ], 'week', '2024-03-04', '2024-03-10');
+  assert.equal(bucket.weight.count, 2);
+  assert.equal(bucket.weight.mean, 71);
+  assert.equal(bucket.loggedDays, 3);
+});
+
+test('day grouping gives one bucket per day', () => {
+  const buckets = groupRecords([{ date: '2024-03-02', total_calorie: '1900' }], 'day', '2024-03-01', '2024-03-03');
+  assert.deepEqual(buckets.map(b => [b.key, b.records.length]), [['2024-03-01', 0], ['2024-03-02', 1], ['2024-03-03', 0]]);
+  assert.equal(buckets[1].calorie.total, 1900);
+  assert.equal(grouping('year').key, 'day');
+});
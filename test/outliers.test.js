@@ -0,0 +1,71 @@
+// Outlier / typo detection on weight entry (outliers.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  referenceWeight, checkWeight, weightSeries, isOutlier, outlierRule, OUTLIER_REFERENCE_DAYS,
+} from '../src/outliers.js';
+import { dayNumber, isoFromDayNumber } from '../src/trend.js';
+
+// dateISO の前日から n 日さかのぼった、体重 weight の記録（日付昇順）
+function before(dateISO, n, weight = 70) {
+  return Array.from({ length: n }, (_, i) => ({ date: isoFromDayNumber(dayNumber(dateISO) - n + i), weight }));
+}
+
+test('weightSeries treats outlier days and empty weights as missing', () => {
+  assert.deepEqual(weightSeries([
+    { date: '2024-05-01', weight: '70.2' },
+    { date: '2024-05-02', weight: 7.02, outlier: true },
+    { date: '2024-05-03', weight: '' },
+    { date: '2024-05-04', weight: null },
+  ]), [
+    { date: '2024-05-01', value: 70.2 },
+    { date: '2024-05-02', value: null },
+    { date: '2024-05-03', value: null },
+    { date: '2024-05-04', value: null },
+  ]);
+  assert.equal(isOutlier({ outlier: true }), true);
+  assert.equal(isOutlier({ outlier: 'true' }), false);
+  assert.equal(isOutlier(null), false);
+});
+
+test('referenceWeight needs 3 recent records before the date', () => {
+  assert.equal(referenceWeight(before('2024-05-15', 2), '2024-05-15'), null);
+  assert.equal(referenceWeight(before('2024-05-15', 3), '2024-05-15'), 70);
+});
+
+test('referenceWeight only looks at the 14 days before the date', () => {
+  const old = before('2024-05-01', 10, 90);
+  assert.equal(referenceWeight([...old, ...before('2024-05-15', 3)], '2024-05-15'), 70);
+  // 当日以降と外れ値の日は使わない
+  const records = [
+    ...before('2024-05-15', 3),
+    { date: '2024-05-14', weight: 7, outlier: true },
+    { date: '2024-05-15', weight: 90 },
+  ];
+  assert.equal(referenceWeight(records, '2024-05-15'), 70);
+  assert.equal(referenceWeight(before('2024-05-15', OUTLIER_REFERENCE_DAYS + 5).slice(0, 5), '2024-05-15'), null);
+});
+
+test('checkWeight by percent flags a typo and passes normal changes', () => {
+  const rule = { rule: 'percent', threshold: 5 };
+  const warning = checkWeight(7.53, 75, rule);
+  assert.ok(Math.abs(warning.deviation - -67.47) < 1e-9);
+  assert.ok(Math.abs(warning.percent - -89.96) < 1e-9);
+  assert.equal(warning.reference, 75);
+  assert.equal(checkWeight(76.5, 75, rule), null);
+  // ちょうど閾値は警告しない
+  assert.equal(checkWeight(78.75, 75, rule), null);
+});
+
+test('checkWeight by kg', () => {
+  const rule = { rule: 'kg', threshold: 2 };
+  assert.equal(checkWeight(72, 70, rule), null);
+  assert.ok(checkWeight(72.1, 70, rule));
+  assert.ok(checkWeight(67.9, 70, rule));
+});
+
+test('checkWeight does nothing when off or without a reference', () => {
+  assert.equal(checkWeight(7, 70, { rule: 'off', threshold: null }), null);
+  assert.equal(checkWeight(7, null, { rule: 'percent', threshold: 5 }), null);
+  assert.equal(outlierRule('unknown').key, 'percent');
+});
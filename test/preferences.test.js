@@ -0,0 +1,50 @@
+// Persisted display preferences (preferences.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PREFERENCES, normalizePreferences, themeLook } from '../src/preferences.js';
+import { outlierRule } from '../src/outliers.js';
+
+test('missing settings give the defaults', () => {
+  assert.deepEqual(normalizePreferences(undefined), DEFAULT_PREFERENCES);
+  assert.deepEqual(normalizePreferences({}), DEFAULT_PREFERENCES);
+});
+
+test('valid saved values are kept', () => {
+  const saved = {
+    reportRangeDays: 90,
+    graphRangeDays: 365,
+    weightDigits: 2,
+    theme: 'dark',
+    bmiStandard: 'who',
+    outlierRule: DEFAULT_PREFERENCES.outlierRule,
+    outlierThreshold: outlierRule(DEFAULT_PREFERENCES.outlierRule).thresholds.at(-1),
+  };
+  assert.deepEqual(normalizePreferences(saved), saved);
+});
+
+test('values outside the choices fall back to the defaults one by one', () => {
+  const prefs = normalizePreferences({
+    reportRangeDays: 45,
+    graphRangeDays: '7',
+    weightDigits: 3,
+    theme: 'sepia',
+    bmiStandard: 'unknown',
+    outlierRule: 'unknown',
+    outlierThreshold: -1,
+  });
+  assert.deepEqual(prefs, DEFAULT_PREFERENCES);
+  assert.equal(normalizePreferences({ theme: 'light', weightDigits: 9 }).theme, 'light');
+});
+
+test('a threshold that does not belong to the rule resets to that rule\'s default', () => {
+  const rule = outlierRule(DEFAULT_PREFERENCES.outlierRule);
+  const prefs = normalizePreferences({ outlierRule: rule.key, outlierThreshold: 12345 });
+  assert.equal(prefs.outlierThreshold, rule.defaultThreshold);
+});
+
+test('themeLook follows the mode unless a fixed theme is chosen', () => {
+  assert.equal(themeLook('mode', 'morning'), 'morning');
+  assert.equal(themeLook('mode', 'night'), 'night');
+  assert.equal(themeLook('light', 'night'), 'morning');
+  assert.equal(themeLook('dark', 'morning'), 'night');
+});
@@ -0,0 +1,97 @@
+// Period statistics (stats.js). Pure functions, no database needed.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  standardDeviation, weightStats, calorieStats, previousPeriod, summarizePeriod, comparePeriods,
+} from '../src/stats.js';
+
+const series = (pairs) => pairs.map(([date, value]) => ({ date, value }));
+
+test('weightStats: ties on min / max pick the earlier date', () => {
+  const stats = weightStats(series([
+    ['2024-01-01', 70], ['2024-01-02', 69], ['2024-01-03', 71], ['2024-01-04', 69], ['2024-01-05', 71],
+  ]));
+  assert.deepEqual(stats.min, { value: 69, date: '2024-01-02' });
+  assert.deepEqual(stats.max, { value: 71, date: '2024-01-03' });
+});
+
+test('weightStats: days without a value are skipped', () => {
+  const stats = weightStats(series([
+    ['2024-01-01', null], ['2024-01-02', 70], ['2024-01-03', null], ['2024-01-09', 69], ['2024-01-10', undefined],
+  ]));
+  assert.equal(stats.count, 2);
+  assert.equal(stats.mean, 69.5);
+  assert.deepEqual(stats.start, { value: 70, date: '2024-01-02' });
+  assert.deepEqual(stats.end, { value: 69, date: '2024-01-09' });
+  assert.equal(stats.change, -1);
+  // -1 kg over 7 days
+  assert.ok(Math.abs(stats.weeklyRate - -1) < 1e-9);
+  assert.ok(Math.abs(stats.stdDev - Math.SQRT1_2) < 1e-9);
+});
+
+test('weightStats: a single point has no rate or deviation', () => {
+  const stats = weightStats(series([['2024-01-01', null], ['2024-01-02', 70]]));
+  assert.equal(stats.count, 1);
+  assert.equal(stats.change, 0);
+  assert.equal(stats.weeklyRate, null);
+  assert.equal(stats.stdDev, null);
+});
+
+test('weightStats: no values gives null', () => {
+  assert.equal(weightStats([]), null);
+  assert.equal(weightStats(series([['2024-01-01', null]])), null);
+});
+
+test('standardDeviation is the sample deviation', () => {
+  assert.equal(standardDeviation([2, 4, 4, 4, 5, 5, 7, 9]), Math.sqrt(32 / 7));
+  assert.equal(standardDeviation([5]), null);
+});
+
+test('calorieStats without a target', () => {
+  const stats = calorieStats(series([['2024-01-01', 2000], ['2024-01-02', null], ['2024-01-03', 2500]]));
+  assert.deepEqual(stats, { count: 2, total: 4500, mean: 2250, overTargetDays: null });
+});
+
+test('calorieStats with a target counts days strictly over it', () => {
+  const stats = calorieStats(series([['2024-01-01', 2000], ['2024-01-02', 2200], ['2024-01-03', 2500]]), 2200);
+  assert.equal(stats.overTargetDays, 1);
+  assert.equal(calorieStats([], 2200), null);
+});
+
+test('previousPeriod has the same length and ends the day before', () => {
+  assert.deepEqual(previousPeriod('2024-01-08', '2024-01-14'), { start: '2024-01-01', end: '2024-01-07' });
+  assert.deepEqual(previousPeriod('2024-01-01', '2024-01-01'), { start: '2023-12-31', end: '2023-12-31' });
+});
+
+test('previousPeriod across month and leap-year edges', () => {
+  assert.deepEqual(previousPeriod('2024-03-01', '2024-03-31'), { start: '2024-01-30', end: '2024-02-29' });
+  assert.deepEqual(previousPeriod('2023-03-01', '2023-03-31'), { start: '2023-01-29', end: '2023-02-28' });
+  assert.deepEqual(previousPeriod('2024-01-01', '2024-12-31'), { start: '2022-12-31', end: '2023-12-31' });
+});
+
+test('comparePeriods when both sides have values', () => {
+  const current = summarizePeriod({
+    weights: series([['2024-01-08', 69], ['2024-01-14', 68]]),
+    calories: series([['2024-01-08', 1800], ['2024-01-14', 2000]]),
+  });
+  const previous = summarizePeriod({
+    weights: series([['2024-01-01', 70], ['2024-01-07', 69]]),
+    calories: series([['2024-01-01', 2000], ['2024-01-07', 2200]]),
+  });
+  const diff = comparePeriods(current, previous);
+  assert.equal(diff.weightMean, -1);
+  assert.ok(Math.abs(diff.weeklyRate) < 1e-9);
+  assert.equal(diff.calorieMean, -200);
+  assert.equal(diff.calorieTotal, -400);
+});
+
+test('comparePeriods when one side is empty', () => {
+  const current = summarizePeriod({
+    weights: series([['2024-01-08', 69]]),
+    calories: series([['2024-01-08', 1800]]),
+  });
+  const empty = summarizePeriod({ weights: [], calories: [] });
+  const nulls = { weightMean: null, weeklyRate: null, calorieMean: null, calorieTotal: null };
+  assert.deepEqual(comparePeriods(current, empty), nulls);
+  assert.deepEqual(comparePeriods(empty, current), nulls);
+});
@@ -0,0 +1,58 @@
+// Logging streaks and calendar helpers (streaks.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dayStatus, loggedDates, loggingStreaks, nearestUnloggedDate, monthGrid } from '../src/streaks.js';
+
+test('dayStatus and loggedDates count a day with either weight or calories', () => {
+  assert.equal(dayStatus({ weight: 70, total_calorie: 2000 }), 'both');
+  assert.equal(dayStatus({ weight: 70, total_calorie: null }), 'weight');
+  assert.equal(dayStatus({ weight: null, total_calorie: 0 }), 'calorie');
+  assert.equal(dayStatus({ weight: null, total_calorie: null, body_fat: 20 }), 'none');
+  assert.equal(dayStatus(undefined), 'none');
+
+  const logged = loggedDates([
+    { date: '2024-05-01', weight: 70 },
+    { date: '2024-05-02', weight: null, total_calorie: null },
+    { date: '2024-05-03', total_calorie: 1800 },
+  ]);
+  assert.deepEqual([...logged], ['2024-05-01', '2024-05-03']);
+});
+
+test('the current streak counts back from today, or from yesterday while today is open', () => {
+  const logged = new Set(['2024-02-27', '2024-02-28', '2024-02-29', '2024-03-01']);
+  assert.deepEqual(loggingStreaks(logged, '2024-03-01'), { current: 4, longest: 4 });
+  assert.deepEqual(loggingStreaks(logged, '2024-03-02'), { current: 4, longest: 4 });
+  assert.deepEqual(loggingStreaks(logged, '2024-03-03'), { current: 0, longest: 4 });
+});
+
+test('the longest streak is found anywhere in the history', () => {
+  const logged = new Set([
+    '2023-12-30', '2023-12-31', '2024-01-01', '2024-01-02', '2024-01-03',
+    '2024-01-10', '2024-01-11',
+  ]);
+  assert.deepEqual(loggingStreaks(logged, '2024-01-11'), { current: 2, longest: 5 });
+  assert.deepEqual(loggingStreaks(new Set(), '2024-01-11'), { current: 0, longest: 0 });
+});
+
+test('nearestUnloggedDate walks back from yesterday to the first record', () => {
+  const logged = new Set(['2024-05-01', '2024-05-03', '2024-05-04']);
+  assert.equal(nearestUnloggedDate(logged, '2024-05-05'), '2024-05-02');
+  assert.equal(nearestUnloggedDate(logged, '2024-05-06'), '2024-05-05');
+  // 最初の記録より前は対象外
+  assert.equal(nearestUnloggedDate(new Set(['2024-05-01', '2024-05-02']), '2024-05-03'), null);
+  assert.equal(nearestUnloggedDate(new Set(), '2024-05-03'), null);
+});
+
+test('monthGrid starts weeks on Sunday and pads outside days with null', () => {
+  // 2024-02-01 は木曜、うるう年で 29 日まで
+  const feb = monthGrid(2024, 2);
+  assert.equal(feb.length, 5);
+  assert.deepEqual(feb[0], [null, null, null, null, '2024-02-01', '2024-02-02', '2024-02-03']);
+  assert.deepEqual(feb[4], ['2024-02-25', '2024-02-26', '2024-02-27', '2024-02-28', '2024-02-29', null, null]);
+
+  // 2026-02-01 は日曜で、ちょうど 4 週
+  const feb2026 = monthGrid(2026, 2);
+  assert.equal(feb2026.length, 4);
+  assert.equal(feb2026[0][0], '2026-02-01');
+  assert.equal(feb2026[3][6], '2026-02-28');
+});
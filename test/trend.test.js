@@ -0,0 +1,56 @@
+// Weight smoothing (trend.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  dayNumber, isoFromDayNumber, movingAverage, exponentialTrend, linearSlope, EMA_ALPHA,
+} from '../src/trend.js';
+
+const series = (pairs) => pairs.map(([date, value]) => ({ date, value }));
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('dayNumber and isoFromDayNumber round-trip across month and leap-year edges', () => {
+  assert.equal(dayNumber('1970-01-01'), 0);
+  assert.equal(dayNumber('2024-03-01') - dayNumber('2024-02-28'), 2);
+  assert.equal(dayNumber('2023-03-01') - dayNumber('2023-02-28'), 1);
+  for (const iso of ['2024-02-29', '2024-12-31', '2025-01-01', '1999-12-31']) {
+    assert.equal(isoFromDayNumber(dayNumber(iso)), iso);
+  }
+});
+
+test('movingAverage uses the last 7 calendar days and skips missing values', () => {
+  const avg = movingAverage(series([
+    ['2024-01-01', 70], ['2024-01-02', null], ['2024-01-03', 72],
+    ['2024-01-08', 74], ['2024-01-09', 76], ['2024-01-20', null],
+  ]));
+  // 01-08 の窓は 01-02〜01-08 なので 01-01 は入らない。01-20 の窓には値がない
+  assert.deepEqual(avg, [70, 70, 71, 73, 74, null]);
+});
+
+test('movingAverage with a custom window', () => {
+  assert.deepEqual(movingAverage(series([['2024-01-01', 1], ['2024-01-02', 2], ['2024-01-03', 3]]), 2), [1, 1.5, 2.5]);
+});
+
+test('exponentialTrend starts at the first value and moves by alpha a day', () => {
+  const trend = exponentialTrend(series([['2024-01-01', null], ['2024-01-02', 70], ['2024-01-03', 80], ['2024-01-04', null]]));
+  assert.equal(trend[0], null);
+  assert.equal(trend[1], 70);
+  close(trend[2], 70 + EMA_ALPHA * 10);
+  // 値のない日は直前の trend のまま
+  close(trend[3], trend[2]);
+});
+
+test('exponentialTrend applies the decay of every day in a gap', () => {
+  const trend = exponentialTrend(series([['2024-01-01', 70], ['2024-01-04', 80]]));
+  close(trend[1], 70 + (1 - 0.9 ** 3) * 10);
+  // 1 日ずつ同じ値が続いた場合と同じになる
+  const daily = exponentialTrend(series([['2024-01-01', 70], ['2024-01-02', 80], ['2024-01-03', 80], ['2024-01-04', 80]]));
+  close(trend[1], daily[3]);
+});
+
+test('linearSlope is the least-squares change per day', () => {
+  close(linearSlope(series([['2024-01-01', 70], ['2024-01-08', 69], ['2024-01-15', 68]])), -1 / 7);
+  close(linearSlope(series([['2024-01-01', 70], ['2024-01-02', null], ['2024-01-03', 71]])), 0.5);
+  assert.equal(linearSlope(series([['2024-01-01', 70], ['2024-01-02', null]])), null);
+  // 同じ日の点しかなければ傾きは決まらない
+  assert.equal(linearSlope(series([['2024-01-01', 70], ['2024-01-01', 71]])), null);
+});
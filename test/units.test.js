@@ -0,0 +1,63 @@
+// Unit conversion (units.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  weightUnit, energyUnit, toDisplayWeight, fromDisplayWeight, toDisplayEnergy, fromDisplayEnergy,
+  weightDigits, roundCanonicalWeight, roundCanonicalEnergy,
+} from '../src/units.js';
+
+const close = (actual, expected, eps = 1e-6) => assert.ok(Math.abs(actual - expected) < eps, `${actual} != ${expected}`);
+
+test('kg is converted to lb and st', () => {
+  assert.equal(toDisplayWeight(70, 'kg'), 70);
+  close(toDisplayWeight(70, 'lb'), 154.323584);
+  close(toDisplayWeight(70, 'st'), 11.023113);
+  // 1 st = 14 lb
+  close(toDisplayWeight(1, 'lb') / toDisplayWeight(1, 'st'), 14, 1e-6);
+});
+
+test('display values convert back to kg', () => {
+  close(fromDisplayWeight(154.323584, 'lb'), 70);
+  close(fromDisplayWeight(11, 'st'), 69.853225);
+  for (const unit of ['kg', 'lb', 'st']) {
+    close(fromDisplayWeight(toDisplayWeight(63.4, unit), unit), 63.4, 1e-9);
+  }
+});
+
+test('kcal and kJ', () => {
+  assert.equal(toDisplayEnergy(2000, 'kj'), 8368);
+  close(fromDisplayEnergy(8368, 'kj'), 2000, 1e-9);
+  assert.equal(toDisplayEnergy(2000, 'kcal'), 2000);
+});
+
+test('empty and invalid values stay null', () => {
+  for (const v of [null, undefined, 'abc', NaN]) {
+    assert.equal(toDisplayWeight(v, 'lb'), null);
+    assert.equal(fromDisplayEnergy(v, 'kj'), null);
+  }
+  // 文字列の数値は読む
+  assert.equal(toDisplayWeight('70', 'kg'), 70);
+});
+
+test('unknown unit keys fall back to kg / kcal', () => {
+  assert.equal(weightUnit('oz').key, 'kg');
+  assert.equal(energyUnit('cal').key, 'kcal');
+  assert.equal(toDisplayWeight(70, undefined), 70);
+});
+
+test('st shows one more digit than the kg setting', () => {
+  assert.equal(weightDigits('kg'), 1);
+  assert.equal(weightDigits('lb', 1), 1);
+  assert.equal(weightDigits('st', 1), 2);
+  assert.equal(weightDigits('st', 0), 1);
+});
+
+test('saved values are rounded to 3 kg decimals and 1 kcal decimal', () => {
+  assert.equal(roundCanonicalWeight(fromDisplayWeight(165.3, 'lb')), 74.979);
+  assert.equal(roundCanonicalWeight(null), null);
+  assert.equal(roundCanonicalEnergy(fromDisplayEnergy(1000, 'kj')), 239);
+  assert.equal(roundCanonicalEnergy(null), null);
+  // 表示桁で丸めた入力値がそのまま戻る
+  assert.equal(toDisplayWeight(roundCanonicalWeight(fromDisplayWeight(165.3, 'lb')), 'lb').toFixed(1), '165.3');
+  assert.equal(toDisplayWeight(roundCanonicalWeight(fromDisplayWeight(11.47, 'st')), 'st').toFixed(2), '11.47');
+});
@@ -0,0 +1,52 @@
+// Daily value from intraday weigh-ins (weighins.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  dailyWeight, sortWeighIns, weighInRuleLabel, currentTimeHHMM, DEFAULT_WEIGH_IN_RULE,
+} from '../src/weighins.js';
+import { fromDisplayWeight, toDisplayWeight, roundCanonicalWeight } from '../src/units.js';
+
+const items = [
+  { time: '21:00', weight: 71.2, created_at: 3 },
+  { time: '07:00', weight: 70.4, created_at: 1 },
+  { time: '12:00', weight: 70.9, created_at: 2 },
+];
+
+test('sortWeighIns orders by time, untimed first, then by entry order', () => {
+  const sorted = sortWeighIns([
+    { time: '07:00', weight: 2, created_at: 5 },
+    { time: null, weight: 1, created_at: 9 },
+    { time: '07:00', weight: 3, created_at: 6 },
+    { time: '06:00', weight: 4, created_at: 7 },
+  ]);
+  assert.deepEqual(sorted.map(w => w.weight), [1, 4, 2, 3]);
+});
+
+test('dailyWeight picks the value for each rule', () => {
+  assert.equal(DEFAULT_WEIGH_IN_RULE, 'first');
+  assert.equal(dailyWeight(items), 70.4);
+  assert.equal(dailyWeight(items, 'first'), 70.4);
+  assert.equal(dailyWeight(items, 'lowest'), 70.4);
+  assert.equal(dailyWeight([...items, { time: '23:00', weight: 69.9 }], 'lowest'), 69.9);
+  assert.equal(dailyWeight(items, 'average'), 70.833);
+  // unknown rules fall back to the first weigh-in
+  assert.equal(dailyWeight(items, 'median'), 70.4);
+});
+
+test('dailyWeight skips unusable weights and returns null without any', () => {
+  assert.equal(dailyWeight([]), null);
+  assert.equal(dailyWeight([{ time: '07:00', weight: 'abc' }]), null);
+  assert.equal(dailyWeight([{ time: '06:00', weight: 'abc' }, { time: '07:00', weight: '70.2' }], 'first'), 70.2);
+});
+
+test('the average of lb entries converts back to their average', () => {
+  const kg = [150.2, 150.4].map(lb => roundCanonicalWeight(fromDisplayWeight(lb, 'lb')));
+  const average = dailyWeight(kg.map((weight, i) => ({ time: `0${7 + i}:00`, weight })), 'average');
+  assert.equal(toDisplayWeight(average, 'lb').toFixed(1), '150.3');
+});
+
+test('labels and the time helper', () => {
+  assert.equal(weighInRuleLabel('average'), '平均');
+  assert.equal(weighInRuleLabel('unknown'), '最初の計量');
+  assert.equal(currentTimeHHMM(new Date(2024, 0, 1, 7, 5)), '07:05');
+});
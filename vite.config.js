@@ -6,6 +6,10 @@ export default defineConfig({
         VitePWA({
             registerType: 'autoUpdate',
             includeAssets: ['favicon.ico', 'apple-touch-icon.png', 'masked-icon.svg'],
+            workbox: {
+                // reminder notifications (periodicsync / notificationclick)
+                importScripts: ['reminder-sw.js']
+            },
             manifest: {
                 name: '体重ログ',
                 short_name: '体重ログ',